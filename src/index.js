@@ -5,10 +5,16 @@ const inquirer = require('inquirer');
 const chalk = require('chalk');
 const ora = require('ora');
 const Conf = require('conf');
-const { execSync } = require('child_process');
-const { randomUUID } = require('crypto');
+const Ajv = require('ajv');
+const { execSync, execFile, execFileSync } = require('child_process');
+const { createHash, randomUUID } = require('crypto');
+const { isDeepStrictEqual, promisify } = require('util');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const { performance } = require('perf_hooks');
+
+const execFileAsync = promisify(execFile);
 
 // ============================================
 // FETCH COMPATIBILITY (Node 18+ native or node-fetch@2)
@@ -45,18 +51,20 @@ const DEFAULT_EXCLUDES = [
     'flake.lock'
 ];
 
+// Gitignore syntax; applied before the configured excludes and .mkprignore,
+// so any of them can be re-included with a "!pattern" rule
 const FIXED_EXCLUDE_PATTERNS = [
     // Minified files
     '*.min.js',
     '*.min.css',
     '*.bundle.js',
     '*.chunk.js',
-    // Build directories
-    'dist/*',
-    'build/*',
-    '.next/*',
-    '.nuxt/*',
-    '.output/*',
+    // Build directories (at any depth)
+    'dist/',
+    'build/',
+    '.next/',
+    '.nuxt/',
+    '.output/',
     // Source maps
     '*.map',
     // Generated files
@@ -70,10 +78,16 @@ const FIXED_EXCLUDE_PATTERNS = [
     // Yarn PnP
     '.pnp.cjs',
     '.pnp.loader.mjs',
-    '.yarn/cache/*',
+    '.yarn/cache/',
     '.yarn/install-state.gz'
 ];
 
+const MKPRIGNORE_FILE = '.mkprignore';
+
+// Prompt customization: at the git root, and as prompt.md in the Conf directory
+const PROMPT_FILE = '.mkpr-prompt.md';
+const MAX_REFERENCE_LENGTH = 2000; // Chars of each past PR body kept as a style example
+
 const PR_TYPES = [
     'feature',    // New feature
     'fix',        // Bug fix
@@ -86,36 +100,313 @@ const PR_TYPES = [
     'ci'          // CI/CD
 ];
 
+const TYPE_EMOJI = {
+    'feature': '✨',
+    'fix': '🐛',
+    'refactor': '♻️',
+    'docs': '📚',
+    'test': '🧪',
+    'chore': '🔧',
+    'perf': '⚡',
+    'style': '💄',
+    'ci': '👷'
+};
+
+// Other names for PR_TYPES, as models, commit prefixes and branch names use them
+const TYPE_ALIASES = {
+    'feat': 'feature',
+    'bug': 'fix',
+    'bugfix': 'fix',
+    'hotfix': 'fix',
+    'doc': 'docs',
+    'documentation': 'docs',
+    'tests': 'test',
+    'testing': 'test',
+    'performance': 'perf',
+    'maintenance': 'chore',
+    'build': 'chore',
+    'breaking': 'feature' // Breaking is indicated in breaking_changes array
+};
+
+// Usual names of long-lived base branches for `baseBranch: auto`. origin/HEAD
+// is tried first, then these; the order breaks ties between equally near ones.
+const BASE_BRANCH_CANDIDATES = ['main', 'master', 'develop', 'trunk'];
+
+// Common locations of a repository's own PR/MR template (relative to git root)
+const REPO_PR_TEMPLATE_PATHS = [
+    '.github/pull_request_template.md',
+    '.github/PULL_REQUEST_TEMPLATE.md',
+    'pull_request_template.md',
+    'PULL_REQUEST_TEMPLATE.md',
+    'docs/pull_request_template.md',
+    'docs/PULL_REQUEST_TEMPLATE.md',
+    '.gitea/pull_request_template.md',
+    '.gitlab/merge_request_templates/Default.md'
+];
+
 const FETCH_TIMEOUT_MS = 180000; // 3 minutes for PR generation (larger context)
-const MAX_DIFF_LENGTH = 8000;
+const STREAM_IDLE_TIMEOUT_MS = 60000; // Streaming only times out when no tokens arrive
+const MAX_DIFF_LENGTH = 8000; // Default context budget (chars of diff per model call)
+const MAX_SUMMARY_LEVELS = 3; // Max reduce passes when summaries still exceed the budget
+const MAX_SCHEMA_RETRIES = 2; // Re-asks with the validation errors before falling back
+const HISTORY_LIMIT = 20; // Generations kept per branch
+
+// Part of the generation cache key: bump it when the prompts or the parsing
+// change so descriptions generated by older versions are not reused
+const PROMPT_VERSION = 1;
 const MAX_BUFFER_SIZE = 1024 * 1024 * 20; // 20MB for large PRs
 
+// Exit codes so scripts and CI pipelines can branch on the outcome
+const EXIT_CODES = {
+    SUCCESS: 0,
+    ERROR: 1,
+    NO_DIFF: 2,
+    MODEL_UNREACHABLE: 3,
+    PARSE_FAILURE: 4,
+    FORGE_ERROR: 5,
+    CANCELLED: 130
+};
+
+/**
+ * Error that ends the run with exitCode; what went wrong has already been
+ * printed, so callers only exit with its code
+ */
+function exitError(exitCode) {
+    const error = new Error(`Exited with code ${exitCode}`);
+    error.exitCode = exitCode;
+    error.reported = true;
+    return error;
+}
+
 // ============================================
 // CONFIGURATION
 // ============================================
 
-const config = new Conf({
+const CONFIG_DEFAULTS = {
+    provider: 'ollama',
+    ollamaPort: 11434,
+    ollamaUrl: '',
+    ollamaAuthHeader: '',
+    ollamaModel: 'llama3.2',
+    openaiUrl: 'http://localhost:8080/v1',
+    baseBranch: 'auto',
+    outputDir: '.',
+    excludeFiles: [...DEFAULT_EXCLUDES],
+    stream: false,
+    summarize: false,
+    template: 'default',
+    language: 'en',
+    locale: 'auto',
+    contextBudgets: {},
+    debug: false
+};
+
+const globalConfig = new Conf({
     projectName: 'mkpr',
-    defaults: {
-        ollamaPort: 11434,
-        ollamaModel: 'llama3.2',
-        baseBranch: 'main',
-        outputDir: '.',
-        excludeFiles: [...DEFAULT_EXCLUDES],
-        debug: false
-    }
+    defaults: CONFIG_DEFAULTS
 });
 
+// Repository config files, looked up at the git root in this order.
+// package.json is also checked for an "mkpr" key.
+const REPO_CONFIG_FILES = ['.mkprrc.json', '.mkprrc'];
+
+// Settings a repository may override. Where requests go (provider and server
+// URLs), secrets (auth header) and debug stay global, so a cloned repository
+// cannot send the diff or the credentials to a host of its choosing.
+const REPO_CONFIG_KEYS = [
+    'ollamaPort',
+    'ollamaModel',
+    'baseBranch',
+    'outputDir',
+    'excludeFiles',
+    'stream',
+    'summarize',
+    'template',
+    'language',
+    'contextBudgets'
+];
+
+let repoConfigCache;
+
+/**
+ * Load the repository config (cached). Returns { file, values } or null when
+ * there is none or we are not inside a git repository.
+ */
+function loadRepoConfig() {
+    if (repoConfigCache !== undefined) {
+        return repoConfigCache;
+    }
+    repoConfigCache = null;
+
+    let gitRoot;
+    try {
+        gitRoot = getGitRoot();
+    } catch {
+        return null;
+    }
+
+    const candidates = [
+        ...REPO_CONFIG_FILES.map(name => ({ name, read: data => data })),
+        { name: 'package.json', read: data => data.mkpr }
+    ];
+
+    for (const { name, read } of candidates) {
+        const filePath = path.join(gitRoot, name);
+        if (!fs.existsSync(filePath)) {
+            continue;
+        }
+
+        let values;
+        try {
+            values = read(JSON.parse(fs.readFileSync(filePath, 'utf-8')));
+        } catch (error) {
+            console.error(chalk.yellow(`⚠️  ${t('config.ignoredFile', { file: name, message: error.message })}`));
+            continue;
+        }
+        if (!values || typeof values !== 'object') {
+            continue;
+        }
+
+        repoConfigCache = { file: name, path: filePath, values: validateRepoConfig(values, name) };
+        return repoConfigCache;
+    }
+
+    return null;
+}
+
+/**
+ * Keep only known keys whose type matches the default value
+ */
+function validateRepoConfig(values, fileName) {
+    const valid = {};
+
+    for (const [key, value] of Object.entries(values)) {
+        if (!REPO_CONFIG_KEYS.includes(key)) {
+            console.error(chalk.yellow(`⚠️  ${t('config.unsupported', { file: fileName, key })}`));
+            continue;
+        }
+
+        const expected = CONFIG_DEFAULTS[key];
+        const sameType = Array.isArray(expected)
+            ? Array.isArray(value)
+            : typeof value === typeof expected && value !== null && !Array.isArray(value);
+        if (!sameType) {
+            console.error(chalk.yellow(`⚠️  ${t('config.invalidValue', { file: fileName, key })}`));
+            continue;
+        }
+
+        valid[key] = value;
+    }
+
+    return valid;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Effective configuration, layered (highest first):
+ *   1. flags for the current run (setOverrides)
+ *   2. repository config (.mkprrc.json, .mkprrc or package.json "mkpr")
+ *   3. global config (Conf store), which also holds the defaults
+ * Object values such as contextBudgets are merged across layers.
+ * set() always writes the global store.
+ */
+const config = {
+    overrides: {},
+
+    get(key) {
+        return this.resolve(key).value;
+    },
+
+    /**
+     * Effective value of a setting and where it came from
+     */
+    resolve(key) {
+        const globalValue = globalConfig.get(key);
+        let value = globalValue;
+        let source = isDeepStrictEqual(globalValue, CONFIG_DEFAULTS[key]) ? 'default' : 'global';
+
+        const repoConfig = REPO_CONFIG_KEYS.includes(key) ? loadRepoConfig() : null;
+        if (repoConfig && key in repoConfig.values) {
+            const repoValue = repoConfig.values[key];
+            value = isPlainObject(repoValue) ? { ...value, ...repoValue } : repoValue;
+            source = `repo: ${repoConfig.file}`;
+        }
+
+        if (this.overrides[key] !== undefined) {
+            value = this.overrides[key];
+            source = 'flag';
+        }
+
+        return { value, source };
+    },
+
+    set(key, value) {
+        globalConfig.set(key, value);
+
+        const repoConfig = REPO_CONFIG_KEYS.includes(key) ? loadRepoConfig() : null;
+        if (repoConfig && key in repoConfig.values) {
+            console.log(chalk.yellow(`⚠️  ${t('config.overridden', { key, file: repoConfig.file })}`));
+        }
+    },
+
+    /**
+     * Apply per-run flags; undefined values are ignored
+     */
+    setOverrides(values) {
+        for (const [key, value] of Object.entries(values)) {
+            if (value !== undefined) {
+                this.overrides[key] = value;
+            }
+        }
+    }
+};
+
 // ============================================
 // UTILITY FUNCTIONS
 // ============================================
 
+/**
+ * Debug output goes to stderr so it never mixes into --stdout or JSON output
+ */
 function debugLog(...args) {
     if (config.get('debug')) {
-        console.log(chalk.gray('[DEBUG]'), ...args);
+        console.error(chalk.gray('[DEBUG]'), ...args);
     }
 }
 
+/**
+ * Record how long named phases take. With `enabled`, report() prints the
+ * phases recorded since the previous report.
+ */
+function createTimings(enabled) {
+    const phases = [];
+    let reported = 0;
+
+    return {
+        async measure(label, fn) {
+            const started = performance.now();
+            try {
+                return await fn();
+            } finally {
+                phases.push({ label, ms: performance.now() - started });
+            }
+        },
+        report(log) {
+            if (!enabled || reported === phases.length) {
+                return;
+            }
+            log(chalk.gray(`\n⏱  ${t('timings.title')}`));
+            phases.slice(reported).forEach(({ label, ms }) => {
+                log(chalk.gray(`   ${label.padEnd(24)} ${ms < 1000 ? `${Math.round(ms)} ms` : `${(ms / 1000).toFixed(2)} s`}`));
+            });
+            reported = phases.length;
+        }
+    };
+}
+
 function formatSize(bytes) {
     const sizes = ['B', 'KB', 'MB', 'GB'];
     if (bytes === 0) return '0 B';
@@ -123,26 +414,101 @@ function formatSize(bytes) {
     return `${(bytes / Math.pow(1024, i)).toFixed(2)} ${sizes[i]}`;
 }
 
+function truncateText(text, maxLength, marker = '[... truncated ...]') {
+    if (text.length <= maxLength) {
+        return text;
+    }
+    return `${text.substring(0, maxLength)}\n${marker}`;
+}
+
 /**
- * Fetch with timeout using AbortController
+ * Fetch with timeout using AbortController.
+ * An optional `options.signal` lets the caller cancel the request (e.g. Ctrl+C).
  */
 async function fetchWithTimeout(url, options = {}, timeoutMs = FETCH_TIMEOUT_MS) {
+    const { signal: externalSignal, ...fetchOptions } = options;
     const controller = new AbortController();
     const timeout = setTimeout(() => controller.abort(), timeoutMs);
+    const onExternalAbort = () => controller.abort();
+    externalSignal?.addEventListener('abort', onExternalAbort);
 
     try {
         const response = await fetch(url, {
-            ...options,
+            ...fetchOptions,
             signal: controller.signal
         });
         return response;
     } catch (error) {
         if (error.name === 'AbortError') {
-            throw new Error(`Request timeout after ${timeoutMs / 1000}s. The model may be too slow or Ollama is unresponsive.`);
+            if (externalSignal?.aborted) {
+                throw new Error(t('request.cancelled'));
+            }
+            throw new Error(t('request.timeout', { seconds: timeoutMs / 1000 }));
+        }
+        throw error;
+    } finally {
+        clearTimeout(timeout);
+        externalSignal?.removeEventListener('abort', onExternalAbort);
+    }
+}
+
+/**
+ * Fetch a streaming response and pass each non-empty line of the body to
+ * `onLine`. Unlike fetchWithTimeout, the timer restarts every time data
+ * arrives, so long generations only fail when the server goes silent.
+ * Non-2xx responses throw an error carrying `status` and the body as message.
+ */
+async function fetchLines(url, options = {}, onLine, idleTimeoutMs = STREAM_IDLE_TIMEOUT_MS) {
+    const { signal: externalSignal, ...fetchOptions } = options;
+    const controller = new AbortController();
+    let timeout;
+    const resetTimeout = () => {
+        clearTimeout(timeout);
+        timeout = setTimeout(() => controller.abort(), idleTimeoutMs);
+    };
+    const onExternalAbort = () => controller.abort();
+    externalSignal?.addEventListener('abort', onExternalAbort);
+    resetTimeout();
+
+    try {
+        const response = await fetch(url, {
+            ...fetchOptions,
+            signal: controller.signal
+        });
+
+        if (!response.ok) {
+            const error = new Error(await response.text());
+            error.status = response.status;
+            throw error;
+        }
+
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        for await (const chunk of response.body) {
+            resetTimeout();
+            buffer += decoder.decode(chunk, { stream: true });
+
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            lines.filter(line => line.trim()).forEach(line => onLine(line.trim()));
+        }
+
+        buffer += decoder.decode();
+        if (buffer.trim()) {
+            onLine(buffer.trim());
+        }
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            if (externalSignal?.aborted) {
+                throw new Error(t('request.cancelled'));
+            }
+            throw new Error(t('request.idle', { seconds: idleTimeoutMs / 1000 }));
         }
         throw error;
     } finally {
         clearTimeout(timeout);
+        externalSignal?.removeEventListener('abort', onExternalAbort);
     }
 }
 
@@ -159,25 +525,6 @@ function sanitizeBranchName(branchName) {
         .substring(0, 100);               // Max length
 }
 
-/**
- * Validate branch name to prevent command injection
- */
-function isValidBranchName(branchName) {
-    // Git branch names can't contain: space, ~, ^, :, ?, *, [, \, or start with -
-    // Also reject anything that looks like command injection
-    const invalidPatterns = [
-        /\s/,           // spaces
-        /[~^:?*\[\]\\]/, // git invalid chars
-        /^-/,           // starts with dash
-        /\.\./,         // double dots
-        /\/\//,         // double slashes
-        /[@{}$`|;&]/,   // shell dangerous chars
-        /^$/            // empty
-    ];
-    
-    return !invalidPatterns.some(pattern => pattern.test(branchName));
-}
-
 // ============================================
 // JSON SCHEMA FOR PR
 // ============================================
@@ -187,6 +534,7 @@ const PR_SCHEMA = {
     properties: {
         title: {
             type: "string",
+            minLength: 1,
             description: "A clear, concise PR title (max 72 chars)"
         },
         type: {
@@ -196,6 +544,7 @@ const PR_SCHEMA = {
         },
         summary: {
             type: "string",
+            minLength: 1,
             description: "A 2-3 sentence summary of what this PR does and why"
         },
         changes: {
@@ -220,21 +569,28 @@ const PR_SCHEMA = {
     required: ["title", "type", "summary", "changes"]
 };
 
+const validatePRSchema = new Ajv({ allErrors: true }).compile(PR_SCHEMA);
+
+const PR_GENERATION_OPTIONS = {
+    temperature: 0.2,
+    maxTokens: 1500,
+    topP: 0.9
+};
+
 // ============================================
 // PROMPT BUILDER
 // ============================================
 
-function buildSystemPrompt() {
-    return `You are a PR description generator. Analyze git diffs and generate clear, professional Pull Request descriptions.
+const PROMPT_INSTRUCTIONS = `You are a PR description generator. Analyze git diffs and generate clear, professional Pull Request descriptions.
 
 RULES:
 1. Title must be clear, concise, and under 72 characters
 2. Summary should explain WHAT the PR does and WHY (not HOW)
 3. Changes should be specific, actionable items
 4. Identify breaking changes if any
-5. Be professional but concise
+5. Be professional but concise`;
 
-PR TYPES:
+const PROMPT_PR_TYPES = `PR TYPES:
 - feature: New functionality for users
 - fix: Bug fix
 - refactor: Code restructuring without behavior change
@@ -243,15 +599,9 @@ PR TYPES:
 - chore: Maintenance tasks, dependencies
 - perf: Performance improvements
 - style: Code style/formatting changes
-- ci: CI/CD configuration changes
-
-OUTPUT FORMAT:
-Respond ONLY with a valid JSON object matching this schema:
-${JSON.stringify(PR_SCHEMA, null, 2)}
+- ci: CI/CD configuration changes`;
 
-EXAMPLES:
-
-Input: Branch "feature/user-auth" with changes to login system
+const PROMPT_EXAMPLES = `Input: Branch "feature/user-auth" with changes to login system
 Output: {
   "title": "Add OAuth2 authentication support",
   "type": "feature",
@@ -284,6 +634,44 @@ Output: {
   "testing": "Added unit test for deleted user edge case. Verified fix in staging.",
   "notes": ""
 }`;
+
+/**
+ * System prompt: the instructions (or the `# System` section of a prompt
+ * file), PR types, team conventions, the output schema and few-shot
+ * examples. PR types and the schema are always kept since parsing relies on
+ * them.
+ */
+function buildSystemPrompt() {
+    const custom = loadPromptCustomization();
+    const parts = [custom.system || PROMPT_INSTRUCTIONS, PROMPT_PR_TYPES];
+
+    if (custom.conventions.length > 0) {
+        parts.push(`TEAM CONVENTIONS (they take precedence over the rules above):
+${custom.conventions.join('\n\n')}`);
+    }
+
+    const language = config.get('language');
+    if (language.split('-')[0] !== 'en') {
+        parts.push(`LANGUAGE:
+Write the title, summary, changes, breaking_changes, testing and notes in ${getLanguageName(language)}. Keep the JSON keys and the "type" value in English.`);
+    }
+
+    parts.push(`OUTPUT FORMAT:
+Respond ONLY with a valid JSON object matching this schema:
+${JSON.stringify(PR_SCHEMA, null, 2)}`);
+
+    const examples = custom.examples.length > 0
+        ? custom.examples.map(example => `Input: ${example.input || 'Changes in this repository'}\nOutput: ${example.output}`).join('\n\n')
+        : PROMPT_EXAMPLES;
+    parts.push(`EXAMPLES:\n\n${examples}`);
+
+    if (custom.references.length > 0) {
+        parts.push(`PAST PULL REQUESTS FROM THIS REPOSITORY (match their tone, wording and conventions, but answer in the JSON format above):
+
+${custom.references.join('\n\n---\n\n')}`);
+    }
+
+    return parts.join('\n\n');
 }
 
 function buildUserPrompt(context) {
@@ -297,12 +685,16 @@ function buildUserPrompt(context) {
         .slice(0, 20)
         .join('\n');
 
-    // Smart diff truncation
-    const truncatedDiff = truncateDiffSmart(diff);
+    // Per-file summaries replace the raw diff when the map-reduce pass ran
+    const diffSection = context.diffSummary
+        ? `CHANGE SUMMARY (condensed from the full diff of every file):
+${context.diffSummary}`
+        : `DIFF:
+${truncateDiffSmart(diff, getContextBudget(config.get('ollamaModel')))}`;
 
     return `BRANCH INFO:
 Current branch: ${currentBranch}
-Base branch: ${baseBranch}
+Base branch: ${baseBranch}${context.scope ? `\nDescribing: ${context.scope}` : ''}
 
 COMMITS (${commits.length}):
 ${commitsSummary}
@@ -314,17 +706,26 @@ ${filesSummary}
 STATS:
 ${stats}
 
-DIFF:
-${truncatedDiff}
+${diffSection}
 
 Generate a PR description for these changes. Respond with JSON only.`;
 }
 
+/**
+ * Follow-up turn asking the model to revise its previous answer
+ */
+function buildRefinePrompt(feedback) {
+    return `Revise the PR description above according to this feedback:
+${feedback}
+
+Keep everything the feedback does not ask to change. Respond with the complete JSON object only, in the same format.`;
+}
+
 /**
  * Smart diff truncation that preserves file context
  */
-function truncateDiffSmart(diff) {
-    if (diff.length <= MAX_DIFF_LENGTH) {
+function truncateDiffSmart(diff, maxLength = MAX_DIFF_LENGTH) {
+    if (diff.length <= maxLength) {
         return diff;
     }
 
@@ -359,11 +760,11 @@ function truncateDiffSmart(diff) {
 
     // Build truncated diff prioritizing all files with some changes
     const result = [];
-    const maxLinesPerFile = Math.max(10, Math.floor(MAX_DIFF_LENGTH / (chunks.length || 1) / 60));
+    const maxLinesPerFile = Math.max(10, Math.floor(maxLength / (chunks.length || 1) / 60));
     let totalLength = 0;
 
     for (const chunk of chunks) {
-        if (totalLength > MAX_DIFF_LENGTH) {
+        if (totalLength > maxLength) {
             result.push(`\n[... ${chunks.length - result.length} more files not shown ...]`);
             break;
         }
@@ -383,947 +784,5679 @@ function truncateDiffSmart(diff) {
 }
 
 // ============================================
-// PR GENERATION
+// PROMPT FILES
 // ============================================
 
-async function generatePRDescriptionText(context) {
-    const port = config.get('ollamaPort');
-    const model = config.get('ollamaModel');
+// A prompt file is Markdown with up to three sections, each starting with a
+// top-level heading:
+//   # System       replaces the built-in instructions and rules
+//   # Conventions  team conventions added to the prompt (text before any heading too)
+//   # Examples     ```json blocks are example answers (the text before a block
+//                  describes its input); ```markdown blocks are past PRs used
+//                  as style references
+// HTML comments are ignored. The global file is read first, then the repo one.
 
-    const systemPrompt = buildSystemPrompt();
-    const userPrompt = buildUserPrompt(context);
+const PROMPT_SECTIONS = ['system', 'conventions', 'examples'];
 
-    debugLog('Sending request to Ollama...');
-    debugLog(`Model: ${model}, Port: ${port}`);
-
-    const response = await fetchWithTimeout(`http://localhost:${port}/api/chat`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-            model: model,
-            messages: [
-                { role: 'system', content: systemPrompt },
-                { role: 'user', content: userPrompt }
-            ],
-            stream: false,
-            format: 'json',
-            options: {
-                temperature: 0.2,
-                num_predict: 1500,
-                top_p: 0.9
-            }
-        })
-    });
+let promptCustomizationCache;
 
-    if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`Ollama error (${response.status}): ${errorText}`);
+function getGlobalPromptFile() {
+    return path.join(path.dirname(globalConfig.path), 'prompt.md');
+}
+
+function getRepoPromptFile() {
+    try {
+        return path.join(getGitRoot(), PROMPT_FILE);
+    } catch {
+        return null;
     }
+}
 
-    const data = await response.json();
-    const rawResponse = data.message?.content || data.response || '';
+/**
+ * Split a prompt file into its sections; `last` is the section the file ends
+ * in. Headings inside fenced blocks (e.g. the title of a past PR) are
+ * content, as are headings of unknown sections.
+ */
+function splitPromptSections(text) {
+    const sections = { system: '', conventions: '', examples: '' };
+    let current = 'conventions';
+    let fence = null;
+
+    for (const line of text.replace(/<!--[\s\S]*?-->/g, '').split(/\r?\n/)) {
+        const fenceMatch = line.match(/^(`{3,})/);
+        if (fenceMatch) {
+            if (!fence) {
+                fence = fenceMatch[1];
+            } else if (line.trim() === fence) {
+                fence = null;
+            }
+        }
 
-    debugLog('Raw response:', rawResponse.substring(0, 500) + '...');
+        const heading = !fence && line.match(/^#\s+(.+?)\s*$/);
+        if (heading && PROMPT_SECTIONS.includes(heading[1].toLowerCase())) {
+            current = heading[1].toLowerCase();
+            continue;
+        }
+        sections[current] += line + '\n';
+    }
 
-    const prData = parsePRResponse(rawResponse);
-    return formatPRMarkdown(prData, context);
+    return { sections, last: current };
 }
 
-function parsePRResponse(rawResponse) {
-    let jsonStr = rawResponse.trim();
+/**
+ * Fenced blocks of an Examples section: ```json answers, validated against
+ * PR_SCHEMA, and ```markdown past PRs
+ */
+function parsePromptExamples(text, source) {
+    const examples = [];
+    const references = [];
+    const blockRegex = /^(`{3,})(\w*)[ \t]*\n([\s\S]*?)\n\1[ \t]*$/gm;
+    let lastIndex = 0;
+    let match;
+
+    while ((match = blockRegex.exec(text)) !== null) {
+        const [, , lang, content] = match;
+        const input = text.slice(lastIndex, match.index).trim().replace(/^input:\s*/i, '');
+        lastIndex = blockRegex.lastIndex;
+
+        if (lang.toLowerCase() === 'json') {
+            let parsed;
+            try {
+                parsed = JSON.parse(content);
+            } catch (error) {
+                console.error(chalk.yellow(`⚠️  ${t('prompt.exampleInvalidJson', { source, message: error.message })}`));
+                continue;
+            }
+            if (!validatePRSchema(parsed)) {
+                console.error(chalk.yellow(`⚠️  ${t('prompt.exampleInvalid', { source, errors: validatePRSchema.errors.map(error => formatSchemaError(error, 'example')).join('; ') })}`));
+                continue;
+            }
+            examples.push({ input, output: JSON.stringify(parsed, null, 2) });
+        } else {
+            references.push(content.trim());
+        }
+    }
 
-    // Clean artifacts
-    jsonStr = jsonStr.replace(/^```json\s*/i, '');
-    jsonStr = jsonStr.replace(/^```\s*/i, '');
-    jsonStr = jsonStr.replace(/```\s*$/i, '');
-    jsonStr = jsonStr.trim();
+    return { examples, references };
+}
 
-    // Extract JSON if there's text before/after
-    const jsonMatch = jsonStr.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-        jsonStr = jsonMatch[0];
+/**
+ * Merged customization from the global and repository prompt files (cached).
+ * The repository's `# System` wins; conventions and examples add up.
+ */
+function loadPromptCustomization() {
+    if (promptCustomizationCache) {
+        return promptCustomizationCache;
     }
 
-    try {
-        const parsed = JSON.parse(jsonStr);
-
-        // Validate required fields with type checking
-        if (!parsed.title || typeof parsed.title !== 'string') {
-            throw new Error('Missing or invalid "title" field');
-        }
-        if (!parsed.type || typeof parsed.type !== 'string') {
-            throw new Error('Missing or invalid "type" field');
-        }
-        if (!parsed.summary || typeof parsed.summary !== 'string') {
-            throw new Error('Missing or invalid "summary" field');
-        }
-
-        // Validate and correct type
-        if (!PR_TYPES.includes(parsed.type)) {
-            const typeMap = {
-                'feat': 'feature',
-                'bug': 'fix',
-                'bugfix': 'fix',
-                'doc': 'docs',
-                'documentation': 'docs',
-                'tests': 'test',
-                'testing': 'test',
-                'performance': 'perf',
-                'maintenance': 'chore',
-                'build': 'chore',
-                'breaking': 'feature' // Breaking is indicated in breaking_changes array
-            };
-            parsed.type = typeMap[parsed.type.toLowerCase()] || 'chore';
-        }
+    const custom = { files: [], system: null, conventions: [], examples: [], references: [] };
+    const candidates = [
+        { scope: 'global', filePath: getGlobalPromptFile() },
+        { scope: 'repo', filePath: getRepoPromptFile() }
+    ];
 
-        // Ensure arrays with type checking
-        if (!Array.isArray(parsed.changes)) {
-            if (typeof parsed.changes === 'string') {
-                parsed.changes = [parsed.changes];
-            } else {
-                parsed.changes = [];
-            }
+    for (const { scope, filePath } of candidates) {
+        if (!filePath || !fs.existsSync(filePath)) {
+            continue;
         }
-        parsed.changes = parsed.changes.filter(c => typeof c === 'string' && c.trim());
 
-        if (!Array.isArray(parsed.breaking_changes)) {
-            if (typeof parsed.breaking_changes === 'string' && parsed.breaking_changes.trim()) {
-                parsed.breaking_changes = [parsed.breaking_changes];
-            } else {
-                parsed.breaking_changes = [];
-            }
-        }
-        parsed.breaking_changes = parsed.breaking_changes.filter(c => typeof c === 'string' && c.trim());
+        const source = scope === 'repo' ? PROMPT_FILE : filePath;
+        const { sections } = splitPromptSections(fs.readFileSync(filePath, 'utf-8'));
+        const { examples, references } = parsePromptExamples(sections.examples, source);
 
-        // Clean optional string fields
-        if (parsed.testing && typeof parsed.testing !== 'string') {
-            parsed.testing = '';
+        custom.files.push({ scope, path: filePath });
+        if (sections.system.trim()) {
+            custom.system = sections.system.trim();
         }
-        if (parsed.notes && typeof parsed.notes !== 'string') {
-            parsed.notes = '';
+        if (sections.conventions.trim()) {
+            custom.conventions.push(sections.conventions.trim());
         }
-
-        // Truncate title if too long
-        parsed.title = parsed.title.substring(0, 72);
-
-        return parsed;
-
-    } catch (parseError) {
-        console.log(chalk.yellow('\n⚠️  Could not parse JSON, using fallback...'));
-        debugLog('Parse error:', parseError.message);
-        return extractPRFromText(rawResponse);
+        custom.examples.push(...examples);
+        custom.references.push(...references);
     }
-}
-
-function extractPRFromText(text) {
-    const lines = text.split('\n').filter(l => l.trim());
 
-    return {
-        title: lines[0]?.substring(0, 72) || 'Update code',
-        type: 'chore',
-        summary: lines.slice(0, 3).join(' ').substring(0, 500),
-        changes: lines.filter(l => l.startsWith('-') || l.startsWith('*'))
-            .map(l => l.replace(/^[-*]\s*/, '')),
-        breaking_changes: [],
-        testing: '',
-        notes: ''
-    };
+    promptCustomizationCache = custom;
+    return custom;
 }
 
-function formatPRMarkdown(prData, context) {
-    const { title, type, summary, changes, breaking_changes, testing, notes } = prData;
-    const { currentBranch, baseBranch, changedFiles, commits } = context;
+const PROMPT_FILE_TEMPLATE = `<!--
+  mkpr prompt file. All sections are optional:
+    # System       replaces the built-in instructions and rules
+    # Conventions  team conventions added to the prompt
+    # Examples     \`\`\`json example answers and \`\`\`markdown past PRs
+  Run "mkpr --show-prompt" to see the assembled prompt.
+-->
 
-    let md = `# ${title}\n\n`;
+# Conventions
 
-    // Type badge
-    const typeEmoji = {
-        'feature': '✨',
-        'fix': '🐛',
-        'refactor': '♻️',
-        'docs': '📚',
-        'test': '🧪',
-        'chore': '🔧',
-        'perf': '⚡',
-        'style': '💄',
-        'ci': '👷'
-    };
+<!--
+- Start the title with the ticket id from the branch name, e.g. "ABC-123: Add login"
+- Keep the summary to two sentences
+- Always explain in "testing" how to verify the change
+-->
 
-    md += `**Type:** ${typeEmoji[type] || '📦'} \`${type}\`\n\n`;
-    md += `**Branch:** \`${currentBranch}\` → \`${baseBranch}\`\n\n`;
+# Examples
 
-    // Description
-    md += `## Description\n\n${summary}\n\n`;
+<!--
+A fix for a crash when the cache is empty
 
-    // Changes
-    md += `## Changes\n\n`;
-    if (changes && changes.length > 0) {
-        changes.forEach(change => {
-            md += `- ${change}\n`;
-        });
-    } else {
-        md += `- General code update\n`;
-    }
-    md += '\n';
+\`\`\`json
+{
+  "title": "ABC-42: Fix crash on empty cache",
+  "type": "fix",
+  "summary": "Reading an empty cache threw instead of returning no entries.",
+  "changes": ["Return an empty list when the cache file is missing"],
+  "breaking_changes": [],
+  "testing": "Run npm test; delete the cache and start the app.",
+  "notes": ""
+}
+\`\`\`
+-->
+`;
 
-    // Breaking changes
-    if (breaking_changes && breaking_changes.length > 0) {
-        md += `## ⚠️ Breaking Changes\n\n`;
-        breaking_changes.forEach(bc => {
-            md += `- ${bc}\n`;
-        });
-        md += '\n';
+/**
+ * Create a starter prompt file. Returns its path, or null if it exists.
+ */
+function initPromptFile(filePath) {
+    if (fs.existsSync(filePath)) {
+        return null;
     }
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, PROMPT_FILE_TEMPLATE, 'utf-8');
+    return filePath;
+}
 
-    // Testing
-    if (testing) {
-        md += `## Testing\n\n${testing}\n\n`;
+/**
+ * Append merged PRs to the Examples section of a prompt file as style
+ * references, skipping those already there. Returns how many were added.
+ */
+function appendPromptReferences(filePath, pullRequests) {
+    const text = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf-8') : '';
+    const fresh = pullRequests.filter(pr => pr.body.trim() && !text.includes(`<!-- #${pr.number}: `));
+    if (fresh.length === 0) {
+        return 0;
     }
 
-    // Stats
-    md += `## Stats\n\n`;
-    md += `- **Commits:** ${commits.length}\n`;
-    md += `- **Files changed:** ${changedFiles.length}\n`;
-
-    const added = changedFiles.filter(f => f.status === 'added').length;
-    const modified = changedFiles.filter(f => f.status === 'modified').length;
-    const deleted = changedFiles.filter(f => f.status === 'deleted').length;
-
-    if (added) md += `- **Files added:** ${added}\n`;
-    if (modified) md += `- **Files modified:** ${modified}\n`;
-    if (deleted) md += `- **Files deleted:** ${deleted}\n`;
-    md += '\n';
-
-    // Notes
-    if (notes) {
-        md += `## Additional Notes\n\n${notes}\n\n`;
-    }
-
-    // Checklist
-    md += `## Checklist\n\n`;
-    md += `- [ ] Code follows project standards\n`;
-    md += `- [ ] Tests have been added (if applicable)\n`;
-    md += `- [ ] Documentation has been updated (if applicable)\n`;
-    md += `- [ ] Changes have been tested locally\n`;
+    const blocks = fresh.map(pr => {
+        const body = pr.body.length > MAX_REFERENCE_LENGTH
+            ? `${pr.body.slice(0, MAX_REFERENCE_LENGTH).trimEnd()}\n...`
+            : pr.body.trim();
+        // Four backticks so fences inside the body don't close the block
+        return `<!-- #${pr.number}: ${pr.url} -->\n\`\`\`\`markdown\n# ${pr.title}\n\n${body}\n\`\`\`\``;
+    });
 
-    return md;
+    const heading = splitPromptSections(text).last === 'examples' ? '' : '# Examples\n\n';
+    const separator = text && !text.endsWith('\n\n') ? (text.endsWith('\n') ? '\n' : '\n\n') : '';
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, `${text}${separator}${heading}${blocks.join('\n\n')}\n`, 'utf-8');
+    return fresh.length;
 }
 
 // ============================================
-// EXCLUDED FILES MANAGEMENT
+// LARGE DIFF SUMMARIZATION (map-reduce)
 // ============================================
 
-function getExcludedFiles() {
-    return config.get('excludeFiles');
-}
-
-function getAllExcludePatterns() {
-    const configExcludes = getExcludedFiles();
-    return [...configExcludes, ...FIXED_EXCLUDE_PATTERNS];
+function getContextBudget(model) {
+    return config.get('contextBudgets')[model] || MAX_DIFF_LENGTH;
 }
 
-function shouldExcludeFile(filename, excludePatterns) {
-    return excludePatterns.some(pattern => {
-        // Exact pattern
-        if (pattern === filename) return true;
+/**
+ * Split a unified diff into one chunk per file
+ */
+function splitDiffByFile(diff) {
+    const chunks = [];
+    let current = null;
 
-        // Pattern with wildcard at start (*.min.js)
-        if (pattern.startsWith('*')) {
-            const suffix = pattern.slice(1);
-            if (filename.endsWith(suffix)) return true;
+    for (const line of diff.split('\n')) {
+        if (line.startsWith('diff --git')) {
+            const match = line.match(/diff --git a\/(.+) b\/(.+)/);
+            current = { file: match ? match[2] : '', lines: [] };
+            chunks.push(current);
         }
-
-        // Pattern with wildcard at end (dist/*)
-        if (pattern.endsWith('/*')) {
-            const prefix = pattern.slice(0, -2);
-            if (filename.startsWith(prefix + '/') || filename === prefix) return true;
+        if (current) {
+            current.lines.push(line);
         }
+    }
+
+    return chunks.map(chunk => ({ file: chunk.file, text: chunk.lines.join('\n') }));
+}
 
-        // Pattern with wildcard in middle (*.generated.*)
-        if (pattern.includes('*')) {
-            const regex = new RegExp('^' + pattern.replace(/\./g, '\\.').replace(/\*/g, '.*') + '$');
-            if (regex.test(filename)) return true;
+/**
+ * Greedily pack texts into groups that fit the budget
+ */
+function groupByBudget(texts, budget) {
+    const groups = [];
+    let current = [];
+    let currentLength = 0;
+
+    for (const text of texts) {
+        if (current.length > 0 && currentLength + text.length > budget) {
+            groups.push(current.join('\n'));
+            current = [];
+            currentLength = 0;
         }
+        current.push(text);
+        currentLength += text.length;
+    }
 
-        // Match by filename (without path)
-        const basename = filename.split('/').pop();
-        if (pattern === basename) return true;
+    if (current.length > 0) {
+        groups.push(current.join('\n'));
+    }
 
-        return false;
-    });
+    return groups;
 }
 
-function filterDiff(diff, excludePatterns) {
-    const lines = diff.split('\n');
-    const filteredLines = [];
-    let excludingCurrentFile = false;
+async function summarizeChunk(text, instruction, signal) {
+    return getProvider().chat({
+        model: config.get('ollamaModel'),
+        messages: [
+            {
+                role: 'system',
+                content: `You condense code changes for a PR description generator. ${instruction}
+Be specific (functions, behavior, configuration), skip formatting-only changes and write no preamble.`
+            },
+            { role: 'user', content: text }
+        ],
+        options: {
+            temperature: 0.1,
+            maxTokens: 600,
+            topP: 0.9
+        },
+        signal
+    });
+}
 
-    for (const line of lines) {
-        // Detect start of new file
-        if (line.startsWith('diff --git')) {
-            const match = line.match(/diff --git a\/(.+) b\/(.+)/);
-            if (match) {
-                const currentFile = match[2];
-                excludingCurrentFile = shouldExcludeFile(currentFile, excludePatterns);
-                debugLog(`File: ${currentFile}, excluded: ${excludingCurrentFile}`);
-            }
+/**
+ * Map: summarize every file (or group of small files) in its own model call.
+ * Reduce: while the joined summaries still exceed the budget, condense them
+ * again, up to MAX_SUMMARY_LEVELS passes.
+ * `onProgress(done, total, level)` is called after each model call.
+ */
+async function summarizeDiff(diff, { onProgress, signal } = {}) {
+    const budget = getContextBudget(config.get('ollamaModel'));
+    const fileTexts = splitDiffByFile(diff)
+        .map(chunk => chunk.text.length > budget ? truncateDiffSmart(chunk.text, budget) : chunk.text);
+
+    let pieces = groupByBudget(fileTexts, budget);
+    let summaries = [];
+    let calls = 0;
+
+    for (let level = 1; level <= MAX_SUMMARY_LEVELS; level++) {
+        const instruction = level === 1
+            ? 'For each file in the diff, write one line: "path: what changed and why it matters".'
+            : 'Merge these per-file change notes into fewer, shorter lines without losing any file or behavior change.';
+
+        summaries = [];
+        for (let i = 0; i < pieces.length; i++) {
+            summaries.push((await summarizeChunk(pieces[i], instruction, signal)).trim());
+            calls++;
+            onProgress?.(i + 1, pieces.length, level);
         }
 
-        if (!excludingCurrentFile) {
-            filteredLines.push(line);
+        if (summaries.join('\n').length <= budget || summaries.length === 1) {
+            break;
         }
+        pieces = groupByBudget(summaries, budget);
     }
 
-    return filteredLines.join('\n');
+    debugLog(`Summarized ${fileTexts.length} files in ${calls} model calls`);
+
+    return {
+        summary: truncateText(summaries.join('\n'), budget, '[... summary truncated ...]'),
+        files: fileTexts.length,
+        calls
+    };
 }
 
-function listExcludes() {
-    const excludes = config.get('excludeFiles');
-    console.log(chalk.cyan('\n🚫 Files excluded from analysis:\n'));
+// ============================================
+// PR GENERATION
+// ============================================
 
-    if (excludes.length === 0) {
-        console.log(chalk.yellow('   (none)'));
-    } else {
-        excludes.forEach((file, index) => {
-            const isDefault = DEFAULT_EXCLUDES.includes(file);
-            const tag = isDefault ? chalk.gray(' (default)') : '';
-            console.log(chalk.white(`   ${index + 1}. ${chalk.yellow(file)}${tag}`));
-        });
-    }
+/**
+ * Ask the model for the structured PR data. Pass `onToken` to stream the
+ * response (each received chunk is forwarded to it) and `signal` to allow
+ * cancellation. The response is validated against PR_SCHEMA; invalid answers
+ * are sent back with the validation errors up to MAX_SCHEMA_RETRIES times
+ * (`onRetry` is called before each re-ask). With `strict`, a response that is
+ * still invalid throws instead of using the fallback. `followUps` continues
+ * the conversation after the initial prompt: previous answers (assistant) and
+ * the user's refinement feedback (user), in order.
+ */
+async function generatePRData(context, { onToken, onRetry, signal, strict, followUps = [] } = {}) {
+    const provider = getProvider();
+    const model = config.get('ollamaModel');
 
-    console.log(chalk.cyan('\n📁 Fixed patterns (always excluded):\n'));
-    FIXED_EXCLUDE_PATTERNS.forEach(pattern => {
-        console.log(chalk.gray(`   • ${pattern}`));
-    });
-    console.log();
-}
+    const systemPrompt = buildSystemPrompt();
+    const userPrompt = buildUserPrompt(context);
 
-function addExclude(file) {
-    const excludes = config.get('excludeFiles');
+    debugLog(`Sending request to ${provider.label}...`);
+    debugLog(`Model: ${model}, Endpoint: ${provider.baseUrl()}`);
 
-    if (excludes.includes(file)) {
-        console.log(chalk.yellow(`\n⚠️  "${file}" is already in the exclusion list.\n`));
-        return;
-    }
+    const messages = [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userPrompt },
+        ...followUps
+    ];
 
-    excludes.push(file);
-    config.set('excludeFiles', excludes);
-    console.log(chalk.green(`\n✅ Added to exclusions: ${chalk.yellow(file)}\n`));
-}
+    for (let attempt = 0; ; attempt++) {
+        const rawResponse = await provider.chat({
+            model,
+            messages,
+            format: PR_SCHEMA,
+            options: PR_GENERATION_OPTIONS,
+            onToken,
+            signal
+        });
 
-function removeExclude(file) {
-    const excludes = config.get('excludeFiles');
-    const index = excludes.indexOf(file);
+        debugLog('Raw response:', rawResponse.substring(0, 500) + '...');
 
-    if (index === -1) {
-        console.log(chalk.yellow(`\n⚠️  "${file}" is not in the exclusion list.\n`));
-        console.log(chalk.white('   Use --list-excludes to see the current list.\n'));
-        return;
-    }
+        const { errors } = validatePRResponse(rawResponse);
+        if (!errors || attempt >= MAX_SCHEMA_RETRIES) {
+            return parsePRResponse(rawResponse, { strict });
+        }
 
-    excludes.splice(index, 1);
-    config.set('excludeFiles', excludes);
-    console.log(chalk.green(`\n✅ Removed from exclusions: ${chalk.yellow(file)}\n`));
+        // Show the model what was wrong with its answer and ask again
+        debugLog(`Invalid response (attempt ${attempt + 1}):`, errors.join('; '));
+        if (onRetry) {
+            onRetry(attempt + 1, errors);
+        }
+        messages.push(
+            { role: 'assistant', content: rawResponse },
+            { role: 'user', content: buildSchemaRetryPrompt(errors) }
+        );
+    }
 }
 
-function resetExcludes() {
-    config.set('excludeFiles', [...DEFAULT_EXCLUDES]);
-    console.log(chalk.green('\n✅ Exclusion list reset to defaults.\n'));
-}
+function buildSchemaRetryPrompt(errors) {
+    return `Your previous answer is not valid against the required JSON schema:
+${errors.map(error => `- ${error}`).join('\n')}
 
-// ============================================
-// GIT FUNCTIONS
-// ============================================
+Reply again with the complete, corrected JSON object only.`;
+}
 
 /**
- * Check if we're inside a valid git repository
+ * Strip code fences and surrounding text from a model response, leaving the JSON object
  */
-function isGitRepository() {
-    try {
-        const result = execSync('git rev-parse --is-inside-work-tree', {
-            encoding: 'utf-8',
-            stdio: ['pipe', 'pipe', 'pipe']
-        }).trim();
-        return result === 'true';
-    } catch {
-        return false;
+function extractJSONText(rawResponse) {
+    let jsonStr = rawResponse.trim();
+
+    // Clean artifacts
+    jsonStr = jsonStr.replace(/^```json\s*/i, '');
+    jsonStr = jsonStr.replace(/^```\s*/i, '');
+    jsonStr = jsonStr.replace(/```\s*$/i, '');
+    jsonStr = jsonStr.trim();
+
+    // Extract JSON if there's text before/after
+    const jsonMatch = jsonStr.match(/\{[\s\S]*\}/);
+    if (jsonMatch) {
+        jsonStr = jsonMatch[0];
     }
+
+    return jsonStr;
 }
 
 /**
- * Get current branch name
+ * Map the type names models commonly invent to one of PR_TYPES
  */
-function getCurrentBranch() {
-    try {
-        return execSync('git rev-parse --abbrev-ref HEAD', {
-            encoding: 'utf-8',
-            stdio: ['pipe', 'pipe', 'pipe']
-        }).trim();
-    } catch (error) {
-        debugLog('Error getting current branch:', error.message);
-        throw new Error('Could not get current branch.');
+function normalizeChangeType(type) {
+    if (PR_TYPES.includes(type)) {
+        return type;
     }
+
+    return TYPE_ALIASES[type.toLowerCase()] || 'chore';
 }
 
 /**
- * Validate and get remote base branch
+ * Best-effort fix for common JSON mistakes of models: trailing commas, and
+ * output cut off mid-object (closes the open string, arrays and objects and
+ * drops a dangling key)
  */
-function getRemoteBaseBranch(baseBranch) {
-    // Validate branch name first
-    if (!isValidBranchName(baseBranch)) {
-        throw new Error(`Invalid branch name: "${baseBranch}"`);
-    }
+function repairJSON(text) {
+    const closers = [];
+    let output = '';
+    let inString = false;
+    let escaped = false;
+
+    for (const char of text) {
+        if (inString) {
+            output += char;
+            if (escaped) {
+                escaped = false;
+            } else if (char === '\\') {
+                escaped = true;
+            } else if (char === '"') {
+                inString = false;
+            }
+            continue;
+        }
 
-    try {
-        // Try origin/branch first
-        execSync(`git rev-parse --verify origin/${baseBranch}`, {
-            stdio: ['pipe', 'pipe', 'pipe']
-        });
-        return `origin/${baseBranch}`;
-    } catch {
-        try {
-            // Try local branch
-            execSync(`git rev-parse --verify ${baseBranch}`, {
-                stdio: ['pipe', 'pipe', 'pipe']
-            });
-            return baseBranch;
-        } catch {
-            throw new Error(`Base branch '${baseBranch}' not found. Verify it exists or use --base to specify another.`);
+        if (char === '"') {
+            inString = true;
+        } else if (char === '{') {
+            closers.push('}');
+        } else if (char === '[') {
+            closers.push(']');
+        } else if (char === '}' || char === ']') {
+            closers.pop();
+            output = output.replace(/,\s*$/, '');
         }
+        output += char;
     }
-}
 
-/**
- * Get diff between current branch and base
- */
-function getBranchDiff(baseBranch) {
-    if (!isGitRepository()) {
-        throw new Error('You are not in a git repository. Run this command from within a git project.');
+    if (inString) {
+        output = (escaped ? output.slice(0, -1) : output) + '"';
+        // A string cut off right after "{" or "," in an object was a key
+        if (closers[closers.length - 1] === '}') {
+            output = output.replace(/([{,])\s*"[^"]*"$/, '$1');
+        }
     }
 
-    try {
-        const currentBranch = getCurrentBranch();
-        const remoteBranch = getRemoteBaseBranch(baseBranch);
+    output = output
+        .replace(/,?\s*"[^"]*"\s*:\s*$/, '')
+        .replace(/,\s*$/, '');
 
-        debugLog(`Current branch: ${currentBranch}`);
-        debugLog(`Remote branch: ${remoteBranch}`);
+    return output + closers.reverse().join('');
+}
 
-        // Get diff
-        let diff = execSync(`git diff ${remoteBranch}...HEAD --no-color`, {
-            encoding: 'utf-8',
-            maxBuffer: MAX_BUFFER_SIZE,
-            stdio: ['pipe', 'pipe', 'pipe']
-        });
+function formatSchemaError(error, root = 'response') {
+    const field = error.instancePath ? error.instancePath.slice(1).replace(/\//g, '.') : root;
+    const allowed = error.params && error.params.allowedValues
+        ? ` (${error.params.allowedValues.join(', ')})`
+        : '';
+    return `${field} ${error.message}${allowed}`;
+}
 
-        if (!diff.trim()) {
-            return null;
+/**
+ * Parse a model response and validate it against PR_SCHEMA, repairing the
+ * JSON if needed. Returns `{ data }` on success or `{ errors }` describing
+ * what is wrong, so the model can be asked to correct it.
+ */
+function validatePRResponse(rawResponse) {
+    let parsed;
+    try {
+        parsed = JSON.parse(extractJSONText(rawResponse));
+    } catch (parseError) {
+        // Truncated output has no closing brace for extractJSONText to find
+        const start = rawResponse.indexOf('{');
+        try {
+            parsed = JSON.parse(repairJSON(rawResponse.slice(Math.max(start, 0)).replace(/```\s*$/, '').trim()));
+            debugLog('Repaired malformed JSON response');
+        } catch {
+            return { errors: [`response is not valid JSON (${parseError.message})`] };
         }
+    }
 
-        // Filter excluded files programmatically
-        const excludePatterns = getAllExcludePatterns();
-        diff = filterDiff(diff, excludePatterns);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        return { errors: ['response must be a JSON object'] };
+    }
 
-        if (!diff.trim()) {
-            return null;
+    // Harmless deviations are corrected instead of asking again
+    if (typeof parsed.type === 'string') {
+        parsed.type = normalizeChangeType(parsed.type);
+    }
+    for (const field of ['changes', 'breaking_changes']) {
+        if (typeof parsed[field] === 'string') {
+            parsed[field] = parsed[field].trim() ? [parsed[field]] : [];
         }
+    }
+    for (const field of ['breaking_changes', 'testing', 'notes']) {
+        if (parsed[field] === null) {
+            delete parsed[field];
+        }
+    }
 
-        return {
-            diff,
-            currentBranch,
-            baseBranch: remoteBranch
-        };
-
-    } catch (error) {
-        const errorMsg = error.message || error.stderr || String(error);
+    if (!validatePRSchema(parsed)) {
+        return { errors: validatePRSchema.errors.map(formatSchemaError) };
+    }
 
-        if (errorMsg.includes('not a git repository')) {
-            throw new Error('You are not in a git repository.');
-        }
-        if (errorMsg.includes('ENOBUFS') || errorMsg.includes('maxBuffer')) {
-            throw new Error('The diff is too large. Consider splitting the PR.');
+    return {
+        data: {
+            ...parsed,
+            title: parsed.title.substring(0, 72),
+            changes: parsed.changes.filter(c => c.trim()),
+            breaking_changes: (parsed.breaking_changes || []).filter(c => c.trim())
         }
+    };
+}
 
-        debugLog('Error getting branch diff:', errorMsg);
+function parsePRResponse(rawResponse, { strict = false } = {}) {
+    const { data, errors } = validatePRResponse(rawResponse);
+    if (data) {
+        return data;
+    }
+
+    debugLog('Parse error:', errors.join('; '));
+    if (strict) {
+        const error = new Error(t('parse.failed', { errors: errors.join('; ') }));
+        error.exitCode = EXIT_CODES.PARSE_FAILURE;
         throw error;
     }
+    console.log(chalk.yellow(`\n⚠️  ${t('parse.fallback')}`));
+    return extractPRFromText(rawResponse);
 }
 
-/**
- * Get list of commits between branches
- */
-function getCommitsList(baseBranch) {
-    try {
-        const remoteBranch = getRemoteBaseBranch(baseBranch);
-        const commits = execSync(`git log ${remoteBranch}..HEAD --oneline --no-decorate`, {
-            encoding: 'utf-8',
-            maxBuffer: MAX_BUFFER_SIZE,
-            stdio: ['pipe', 'pipe', 'pipe']
-        });
-        return commits.trim().split('\n').filter(c => c);
-    } catch (error) {
-        debugLog('Error getting commits:', error.message);
-        return [];
-    }
+function extractPRFromText(text) {
+    const lines = text.split('\n').filter(l => l.trim());
+
+    return {
+        title: lines[0]?.substring(0, 72) || 'Update code',
+        type: 'chore',
+        summary: lines.slice(0, 3).join(' ').substring(0, 500),
+        changes: lines.filter(l => l.startsWith('-') || l.startsWith('*'))
+            .map(l => l.replace(/^[-*]\s*/, '')),
+        breaking_changes: [],
+        testing: '',
+        notes: ''
+    };
 }
 
+// Rendered text of the description per output language. Other languages
+// still steer the model but are rendered with the English catalog.
+const OUTPUT_LANGUAGES = {
+    en: {
+        types: {
+            feature: 'feature', fix: 'fix', refactor: 'refactor', docs: 'docs', test: 'test',
+            chore: 'chore', perf: 'perf', style: 'style', ci: 'ci'
+        },
+        labels: {
+            type: 'Type',
+            branch: 'Branch',
+            stack: 'Stack',
+            thisPR: 'this PR',
+            description: 'Description',
+            changes: 'Changes',
+            noChanges: 'General code update',
+            breakingChanges: 'Breaking Changes',
+            testing: 'Testing',
+            stats: 'Stats',
+            commits: 'Commits',
+            filesChanged: 'Files changed',
+            filesAdded: 'Files added',
+            filesModified: 'Files modified',
+            filesDeleted: 'Files deleted',
+            notes: 'Additional Notes',
+            checklist: 'Checklist'
+        },
+        checklist: [
+            'Code follows project standards',
+            'Tests have been added (if applicable)',
+            'Documentation has been updated (if applicable)',
+            'Changes have been tested locally'
+        ]
+    },
+    es: {
+        types: {
+            feature: 'funcionalidad', fix: 'corrección', refactor: 'refactorización', docs: 'documentación', test: 'pruebas',
+            chore: 'mantenimiento', perf: 'rendimiento', style: 'estilo', ci: 'ci'
+        },
+        labels: {
+            type: 'Tipo',
+            branch: 'Rama',
+            stack: 'Pila',
+            thisPR: 'este PR',
+            description: 'Descripción',
+            changes: 'Cambios',
+            noChanges: 'Actualización general del código',
+            breakingChanges: 'Cambios incompatibles',
+            testing: 'Pruebas',
+            stats: 'Estadísticas',
+            commits: 'Commits',
+            filesChanged: 'Archivos cambiados',
+            filesAdded: 'Archivos añadidos',
+            filesModified: 'Archivos modificados',
+            filesDeleted: 'Archivos eliminados',
+            notes: 'Notas adicionales',
+            checklist: 'Checklist'
+        },
+        checklist: [
+            'El código sigue los estándares del proyecto',
+            'Se han añadido pruebas (si aplica)',
+            'Se ha actualizado la documentación (si aplica)',
+            'Los cambios se han probado localmente'
+        ]
+    }
+};
+
 /**
- * Get list of changed files with status
+ * Validate a language code (en, es, pt-BR...) and return its canonical form
  */
-function getChangedFiles(baseBranch) {
+function normalizeLanguage(code) {
     try {
-        const remoteBranch = getRemoteBaseBranch(baseBranch);
-        const excludePatterns = getAllExcludePatterns();
-
-        const files = execSync(`git diff ${remoteBranch}...HEAD --name-status`, {
-            encoding: 'utf-8',
-            maxBuffer: MAX_BUFFER_SIZE,
-            stdio: ['pipe', 'pipe', 'pipe']
-        });
-
-        return files.trim().split('\n').filter(f => f).map(line => {
-            const [status, ...fileParts] = line.split('\t');
-            const file = fileParts.join('\t');
-            const statusMap = { 'A': 'added', 'M': 'modified', 'D': 'deleted', 'R': 'renamed' };
-            return {
-                status: statusMap[status[0]] || status,
-                statusCode: status[0],
-                file,
-                excluded: shouldExcludeFile(file, excludePatterns)
-            };
-        });
-    } catch (error) {
-        debugLog('Error getting changed files:', error.message);
-        return [];
+        return Intl.getCanonicalLocales(code)[0];
+    } catch {
+        throw new Error(t('set.invalidLanguage', { code }));
     }
 }
 
 /**
- * Get diff statistics
+ * English name of a language code, for the prompt
  */
-function getFilesStats(baseBranch) {
+function getLanguageName(code) {
     try {
-        const remoteBranch = getRemoteBaseBranch(baseBranch);
-        const stats = execSync(`git diff ${remoteBranch}...HEAD --stat`, {
-            encoding: 'utf-8',
-            maxBuffer: MAX_BUFFER_SIZE,
-            stdio: ['pipe', 'pipe', 'pipe']
-        });
-        return stats.trim();
-    } catch (error) {
-        debugLog('Error getting stats:', error.message);
-        return '(stats unavailable)';
+        return new Intl.DisplayNames(['en'], { type: 'language' }).of(code) || code;
+    } catch {
+        return code;
     }
 }
 
 /**
- * Fetch latest from origin
+ * Catalog for the configured output language: exact match, then the base
+ * language (es-MX → es), then English
  */
-function fetchOrigin() {
-    try {
-        execSync('git fetch origin', {
-            stdio: ['pipe', 'pipe', 'pipe'],
-            timeout: 30000 // 30 second timeout
+function getOutputCatalog(language = config.get('language')) {
+    return OUTPUT_LANGUAGES[language] || OUTPUT_LANGUAGES[language.split('-')[0]] || OUTPUT_LANGUAGES.en;
+}
+
+function formatPRMarkdown(prData, context) {
+    const { title, type, summary, changes, breaking_changes, testing, notes } = prData;
+    const { currentBranch, baseBranch, changedFiles, commits } = context;
+    const { types, labels, checklist } = getOutputCatalog();
+
+    let md = `# ${title}\n\n`;
+
+    // Type badge
+    md += `**${labels.type}:** ${TYPE_EMOJI[type] || '📦'} \`${types[type] || type}\`\n\n`;
+    md += `**${labels.branch}:** \`${currentBranch}\` → \`${baseBranch}\`\n\n`;
+
+    // Stack, bottom first, so it reads in merge order
+    if (context.stack) {
+        md += `## ${labels.stack}\n\n`;
+        context.stack.forEach(({ branch, current, pr }, index) => {
+            const link = pr ? ` [#${pr.number}](${pr.url})` : '';
+            md += current
+                ? `${index + 1}. **\`${branch}\`${link} ← ${labels.thisPR}**\n`
+                : `${index + 1}. \`${branch}\`${link}\n`;
         });
-        return { success: true };
+        md += '\n';
+    }
+
+    // Description
+    md += `## ${labels.description}\n\n${summary}\n\n`;
+
+    // Changes
+    md += `## ${labels.changes}\n\n`;
+    if (changes && changes.length > 0) {
+        changes.forEach(change => {
+            md += `- ${change}\n`;
+        });
+    } else {
+        md += `- ${labels.noChanges}\n`;
+    }
+    md += '\n';
+
+    // Breaking changes
+    if (breaking_changes && breaking_changes.length > 0) {
+        md += `## ⚠️ ${labels.breakingChanges}\n\n`;
+        breaking_changes.forEach(bc => {
+            md += `- ${bc}\n`;
+        });
+        md += '\n';
+    }
+
+    // Testing
+    if (testing) {
+        md += `## ${labels.testing}\n\n${testing}\n\n`;
+    }
+
+    // Stats
+    md += `## ${labels.stats}\n\n`;
+    md += `- **${labels.commits}:** ${commits.length}\n`;
+    md += `- **${labels.filesChanged}:** ${changedFiles.length}\n`;
+
+    const added = changedFiles.filter(f => f.status === 'added').length;
+    const modified = changedFiles.filter(f => f.status === 'modified').length;
+    const deleted = changedFiles.filter(f => f.status === 'deleted').length;
+
+    if (added) md += `- **${labels.filesAdded}:** ${added}\n`;
+    if (modified) md += `- **${labels.filesModified}:** ${modified}\n`;
+    if (deleted) md += `- **${labels.filesDeleted}:** ${deleted}\n`;
+    md += '\n';
+
+    // Notes
+    if (notes) {
+        md += `## ${labels.notes}\n\n${notes}\n\n`;
+    }
+
+    // Checklist
+    md += `## ${labels.checklist}\n\n`;
+    checklist.forEach(item => {
+        md += `- [ ] ${item}\n`;
+    });
+
+    return md;
+}
+
+/**
+ * Structured output for bots: the parsed PR plus the context it was built from
+ */
+function formatPRJSON(prData, context) {
+    const { currentBranch, baseBranch, changedFiles, commits, stats } = context;
+
+    return JSON.stringify({
+        pr: {
+            title: prData.title,
+            type: prData.type,
+            summary: prData.summary,
+            changes: prData.changes || [],
+            breaking_changes: prData.breaking_changes || [],
+            testing: prData.testing || '',
+            notes: prData.notes || ''
+        },
+        branch: {
+            current: currentBranch,
+            base: baseBranch
+        },
+        stack: context.stack || null,
+        commits: commits.map(line => {
+            const [hash, ...subject] = line.split(' ');
+            return { hash, subject: subject.join(' ') };
+        }),
+        files: changedFiles.map(f => ({ file: f.file, status: f.status })),
+        stats: {
+            commits: commits.length,
+            files: changedFiles.length,
+            added: changedFiles.filter(f => f.status === 'added').length,
+            modified: changedFiles.filter(f => f.status === 'modified').length,
+            deleted: changedFiles.filter(f => f.status === 'deleted').length,
+            diffstat: stats
+        },
+        model: {
+            provider: config.get('provider'),
+            name: config.get('ollamaModel')
+        },
+        generatedAt: new Date().toISOString()
+    }, null, 2) + '\n';
+}
+
+// ============================================
+// COMMIT MESSAGE GENERATION
+// ============================================
+
+const COMMIT_SCHEMA = {
+    type: "object",
+    properties: {
+        type: {
+            type: "string",
+            enum: PR_TYPES,
+            description: "The type of change this commit introduces"
+        },
+        scope: {
+            type: "string",
+            description: "Optional short noun for the affected area (e.g. auth, parser). Empty if none."
+        },
+        subject: {
+            type: "string",
+            description: "Imperative summary without type prefix or trailing period (max 60 chars)"
+        },
+        body: {
+            type: "string",
+            description: "What changed and why, in a few short lines. Empty for trivial changes."
+        },
+        breaking_changes: {
+            type: "array",
+            items: { type: "string" },
+            description: "List of breaking changes, if any. Empty array if none."
+        }
+    },
+    required: ["type", "subject"]
+};
+
+// Conventional Commits spells the PR "feature" type as "feat"
+const COMMIT_TYPE_PREFIX = {
+    'feature': 'feat'
+};
+
+const COMMIT_HOOK_MARKER = '# Installed by mkpr';
+
+function buildCommitSystemPrompt() {
+    return `You are a commit message generator. Analyze staged git diffs and write a Conventional Commits message.
+
+RULES:
+1. Subject is imperative ("add", "fix", not "added"), lowercase, without a trailing period
+2. Subject must not repeat the type or scope
+3. Use a scope only when the change is clearly limited to one area
+4. Body explains WHAT changed and WHY, not HOW; leave it empty for trivial changes
+5. List breaking changes if any
+
+TYPES:
+- feature: New functionality for users
+- fix: Bug fix
+- refactor: Code restructuring without behavior change
+- docs: Documentation changes only
+- test: Adding or updating tests
+- chore: Maintenance tasks, dependencies
+- perf: Performance improvements
+- style: Code style/formatting changes
+- ci: CI/CD configuration changes
+
+OUTPUT FORMAT:
+Respond ONLY with a valid JSON object matching this schema:
+${JSON.stringify(COMMIT_SCHEMA, null, 2)}
+
+EXAMPLE:
+{
+  "type": "fix",
+  "scope": "auth",
+  "subject": "refresh expired tokens before retrying requests",
+  "body": "Requests made right after the access token expired failed with 401\\ninstead of refreshing the token first.",
+  "breaking_changes": []
+}`;
+}
+
+function buildCommitUserPrompt(context) {
+    const { currentBranch, diff, changedFiles, stats } = context;
+
+    const filesSummary = changedFiles
+        .map(f => `${f.status[0].toUpperCase()} ${f.file}`)
+        .join('\n');
+
+    return `Current branch: ${currentBranch}
+
+FILES STAGED (${changedFiles.length}):
+${filesSummary}
+
+STATS:
+${stats}
+
+DIFF:
+${truncateDiffSmart(diff, getContextBudget(config.get('ollamaModel')))}
+
+Generate a commit message for these staged changes. Respond with JSON only.`;
+}
+
+async function generateCommitData(context, { signal, strict } = {}) {
+    const provider = getProvider();
+    const model = config.get('ollamaModel');
+
+    debugLog(`Sending commit request to ${provider.label}...`);
+
+    const rawResponse = await provider.chat({
+        model,
+        messages: [
+            { role: 'system', content: buildCommitSystemPrompt() },
+            { role: 'user', content: buildCommitUserPrompt(context) }
+        ],
+        format: 'json',
+        options: {
+            temperature: 0.2,
+            maxTokens: 500,
+            topP: 0.9
+        },
+        signal
+    });
+
+    debugLog('Raw response:', rawResponse.substring(0, 500));
+
+    return parseCommitResponse(rawResponse, { strict });
+}
+
+function parseCommitResponse(rawResponse, { strict = false } = {}) {
+    try {
+        const parsed = JSON.parse(extractJSONText(rawResponse));
+
+        if (!parsed.subject || typeof parsed.subject !== 'string') {
+            throw new Error('Missing or invalid "subject" field');
+        }
+
+        const breakingChanges = Array.isArray(parsed.breaking_changes) ? parsed.breaking_changes : [];
+
+        return {
+            type: normalizeChangeType(typeof parsed.type === 'string' ? parsed.type : 'chore'),
+            scope: typeof parsed.scope === 'string' ? parsed.scope.trim().replace(/[()\s]/g, '') : '',
+            // Models sometimes repeat the "type(scope):" prefix in the subject
+            subject: parsed.subject.trim().replace(/^\w+(\([^)]*\))?!?:\s*/, '').replace(/\.$/, ''),
+            body: typeof parsed.body === 'string' ? parsed.body.trim() : '',
+            breaking_changes: breakingChanges.filter(c => typeof c === 'string' && c.trim())
+        };
+
+    } catch (parseError) {
+        debugLog('Parse error:', parseError.message);
+        if (strict) {
+            const error = new Error(t('parse.failed', { errors: parseError.message }));
+            error.exitCode = EXIT_CODES.PARSE_FAILURE;
+            throw error;
+        }
+        const lines = rawResponse.split('\n').filter(l => l.trim());
+        return {
+            type: 'chore',
+            scope: '',
+            subject: lines[0]?.trim().substring(0, 60) || 'update code',
+            body: lines.slice(1).join('\n'),
+            breaking_changes: []
+        };
+    }
+}
+
+/**
+ * Render commit data as a Conventional Commits message
+ */
+function formatCommitMessage(commitData) {
+    const { type, scope, subject, body, breaking_changes } = commitData;
+    const prefix = COMMIT_TYPE_PREFIX[type] || type;
+    const breaking = breaking_changes.length > 0 ? '!' : '';
+
+    let message = `${prefix}${scope ? `(${scope})` : ''}${breaking}: ${subject}\n`;
+
+    if (body) {
+        message += `\n${body}\n`;
+    }
+
+    if (breaking_changes.length > 0) {
+        message += '\n' + breaking_changes.map(change => `BREAKING CHANGE: ${change}`).join('\n') + '\n';
+    }
+
+    return message;
+}
+
+function installCommitHook() {
+    const hookPath = getGitPath('hooks/prepare-commit-msg');
+
+    if (fs.existsSync(hookPath) && !fs.readFileSync(hookPath, 'utf-8').includes(COMMIT_HOOK_MARKER)) {
+        throw new Error(t('commit.hookExists', { path: hookPath }));
+    }
+
+    // Only plain `git commit` gets a generated message: -m, -F, templates,
+    // merges, squashes and amends pass a source and are left alone
+    const script = `#!/bin/sh
+${COMMIT_HOOK_MARKER}: fills in the commit message from the staged changes.
+# Remove with: mkpr commit --uninstall-hook
+[ -n "$2" ] && exit 0
+command -v mkpr >/dev/null 2>&1 || exit 0
+mkpr commit --message-file "$1" </dev/null || true
+`;
+
+    const hooksDir = path.dirname(hookPath);
+    if (fs.existsSync(hooksDir) && !fs.statSync(hooksDir).isDirectory()) {
+        throw new Error(t('commit.hooksDisabled', { path: hooksDir }));
+    }
+
+    fs.mkdirSync(hooksDir, { recursive: true });
+    fs.writeFileSync(hookPath, script, { mode: 0o755 });
+    return hookPath;
+}
+
+function uninstallCommitHook() {
+    const hookPath = getGitPath('hooks/prepare-commit-msg');
+
+    if (!fs.existsSync(hookPath)) {
+        return null;
+    }
+    if (!fs.readFileSync(hookPath, 'utf-8').includes(COMMIT_HOOK_MARKER)) {
+        throw new Error(t('commit.foreignHook', { path: hookPath }));
+    }
+
+    fs.unlinkSync(hookPath);
+    return hookPath;
+}
+
+// ============================================
+// CHANGELOG GENERATION
+// ============================================
+
+// Keep a Changelog headings, in output order, and the PR types under each
+const CHANGELOG_SECTIONS = [
+    { heading: 'Added', types: ['feature'] },
+    { heading: 'Changed', types: ['refactor', 'perf', 'style'] },
+    { heading: 'Fixed', types: ['fix'] },
+    { heading: 'Documentation', types: ['docs'] },
+    { heading: 'Maintenance', types: ['test', 'chore', 'ci'] }
+];
+
+const CHANGELOG_HEADER = `# Changelog
+
+All notable changes to this project will be documented in this file.
+
+The format is based on [Keep a Changelog](https://keepachangelog.com/en/1.1.0/).
+`;
+
+/**
+ * Type given by a "type(scope): subject" prefix or a "type/..." branch name,
+ * or null when neither names a known type
+ */
+function detectChangeType(text) {
+    const match = text.match(/^(\w+)(?:\([^)]*\))?!?:\s/) || text.match(/^(\w+)\//);
+    if (!match) {
+        return null;
+    }
+    const word = match[1].toLowerCase();
+    return PR_TYPES.includes(word) || TYPE_ALIASES[word] ? normalizeChangeType(word) : null;
+}
+
+/**
+ * Turn a first-parent commit into a changelog entry. Merge commits of
+ * GitHub, GitLab and Gitea carry the PR title in the body or subject;
+ * squash merges end with "(#N)".
+ */
+function parseChangelogEntry({ hash, parents, subject, body }) {
+    const bodyLines = body.split('\n').map(l => l.trim()).filter(Boolean);
+    let title = subject;
+    let branch = '';
+    let ref = (subject.match(/\((#\d+)\)$/) || [])[1] || null;
+
+    const github = subject.match(/^Merge pull request #(\d+) from \S+?\/(\S+)$/);
+    const gitea = subject.match(/^Merge pull request '(.+)' \(#(\d+)\) from (\S+) into /);
+    const gitlab = subject.match(/^Merge branch '([^']+)' into /);
+
+    if (github) {
+        ref = `#${github[1]}`;
+        branch = github[2];
+        title = bodyLines[0] || branch;
+    } else if (gitea) {
+        title = gitea[1];
+        ref = `#${gitea[2]}`;
+        branch = gitea[3];
+    } else if (gitlab && parents > 1) {
+        branch = gitlab[1];
+        title = bodyLines.find(l => !/^See merge request /.test(l)) || branch;
+        ref = (body.match(/See merge request \S*?(!\d+)/) || [])[1] || null;
+    }
+
+    // The type prefix is only needed for classification
+    const text = title.replace(/\s*\(#\d+\)$/, '').replace(/^\w+(\([^)]*\))?!?:\s*/, '');
+
+    return {
+        hash,
+        title: text.charAt(0).toUpperCase() + text.slice(1),
+        ref,
+        type: detectChangeType(title) || detectChangeType(branch)
+    };
+}
+
+/**
+ * Changes of a range following the first parent only, so each merged PR is
+ * one entry and the commits inside it are not listed again
+ */
+function getChangelogEntries(source) {
+    return getFirstParentLog(source.logRange)
+        .map(parseChangelogEntry)
+        // Merges of the base branch back into the line are not changes
+        .filter(entry => !/^Merge (remote-tracking )?branch '[^']+'( of \S+)?$/.test(entry.title));
+}
+
+async function requestChangelogJSON(systemPrompt, userPrompt, signal) {
+    const raw = await getProvider().chat({
+        model: config.get('ollamaModel'),
+        messages: [
+            { role: 'system', content: systemPrompt },
+            { role: 'user', content: userPrompt }
+        ],
+        format: 'json',
+        options: {
+            temperature: 0.2,
+            maxTokens: 1500,
+            topP: 0.9
+        },
+        signal
+    });
+    debugLog('Raw response:', raw.substring(0, 500));
+    return JSON.parse(extractJSONText(raw));
+}
+
+/**
+ * Ask the model for the type of entries that have no recognizable prefix;
+ * anything it can't classify ends up as "chore"
+ */
+async function classifyChangelogEntries(entries, { signal } = {}) {
+    const pending = entries.filter(entry => !entry.type);
+    if (pending.length === 0) {
+        return;
+    }
+
+    let types = [];
+    try {
+        const result = await requestChangelogJSON(
+            `You classify changes of a software project. Types: ${PR_TYPES.join(', ')}.
+Respond ONLY with a JSON object {"types": [...]} holding one type per change, in the same order.`,
+            pending.map((entry, i) => `${i + 1}. ${entry.title}`).join('\n'),
+            signal
+        );
+        types = Array.isArray(result.types) ? result.types : [];
     } catch (error) {
-        const errorMsg = error.message || '';
-        debugLog('Fetch error:', errorMsg);
+        if (signal?.aborted) {
+            throw error;
+        }
+        debugLog('Classification failed:', error.message);
+    }
+
+    pending.forEach((entry, i) => {
+        entry.type = typeof types[i] === 'string' ? normalizeChangeType(types[i]) : 'chore';
+    });
+}
+
+/**
+ * Summarize the entries of one changelog section into bullet points,
+ * falling back to the PR titles if the response can't be used
+ */
+async function summarizeChangelogSection(heading, entries, { signal } = {}) {
+    const fallback = entries.map(entry => entry.ref ? `${entry.title} (${entry.ref})` : entry.title);
+
+    try {
+        const result = await requestChangelogJSON(
+            `You write release notes for a CHANGELOG.md in Keep a Changelog style.
+
+RULES:
+1. One short line per user-visible change, starting with a capital letter, without a trailing period
+2. Merge entries that describe the same change, drop purely internal noise
+3. Keep the PR references such as (#12) or (!12) at the end of the line
+4. Do not invent changes
+
+Respond ONLY with a JSON object {"entries": ["..."]}.`,
+            `Section: ${heading}\n\nChanges:\n${fallback.map(line => `- ${line}`).join('\n')}`,
+            signal
+        );
+        const lines = Array.isArray(result.entries)
+            ? result.entries.filter(e => typeof e === 'string' && e.trim()).map(e => e.trim().replace(/^[-*]\s*/, ''))
+            : [];
+        return lines.length > 0 ? lines : fallback;
+    } catch (error) {
+        if (signal?.aborted) {
+            throw error;
+        }
+        debugLog(`Summary of "${heading}" failed:`, error.message);
+        return fallback;
+    }
+}
+
+/**
+ * Render a release section; `sections` is [{ heading, lines }]
+ */
+function formatChangelogSection(release, sections, date) {
+    let md = release === 'Unreleased' ? '## [Unreleased]\n' : `## [${release}] - ${date}\n`;
+
+    for (const { heading, lines } of sections) {
+        md += `\n### ${heading}\n`;
+        md += lines.map(line => `- ${line}`).join('\n') + '\n';
+    }
+
+    return md;
+}
+
+/**
+ * Insert a release section into CHANGELOG.md content: it replaces a section
+ * of the same release, otherwise goes above the newest one
+ */
+function insertChangelogSection(existing, section, release) {
+    if (!existing.trim()) {
+        return `${CHANGELOG_HEADER}\n${section}`;
+    }
+
+    const escaped = release.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const sameRelease = new RegExp(`^## \\[${escaped}\\][^\\n]*\\n[\\s\\S]*?(?=^## |(?![\\s\\S]))`, 'm');
+    if (sameRelease.test(existing)) {
+        return existing.replace(sameRelease, () => `${section}\n`);
+    }
+
+    // Below an [Unreleased] section, above the newest release
+    const firstRelease = existing.search(/^## (?!\[Unreleased\])/m);
+    if (firstRelease === -1) {
+        return `${existing.replace(/\s*$/, '\n')}\n${section}`;
+    }
+    return `${existing.slice(0, firstRelease)}${section}\n${existing.slice(firstRelease)}`;
+}
+
+// ============================================
+// TEMPLATES
+// ============================================
+
+/**
+ * Values exposed to custom templates, both text and JS ones
+ */
+function buildTemplateData(prData, context) {
+    const { currentBranch, baseBranch, changedFiles, commits, stats } = context;
+
+    return {
+        title: prData.title,
+        type: prData.type,
+        typeEmoji: TYPE_EMOJI[prData.type] || '📦',
+        typeLabel: getOutputCatalog().types[prData.type] || prData.type,
+        summary: prData.summary,
+        changes: prData.changes || [],
+        breaking_changes: prData.breaking_changes || [],
+        testing: prData.testing || '',
+        notes: prData.notes || '',
+        currentBranch,
+        baseBranch,
+        commits,
+        commitCount: commits.length,
+        files: changedFiles,
+        fileCount: changedFiles.length,
+        added: changedFiles.filter(f => f.status === 'added').length,
+        modified: changedFiles.filter(f => f.status === 'modified').length,
+        deleted: changedFiles.filter(f => f.status === 'deleted').length,
+        stats,
+        stack: context.stack || []
+    };
+}
+
+/**
+ * Parse a Handlebars-like template into a tree. Supported tags:
+ * {{var}}, {{a.b}}, {{this}}, {{@index}}, {{#if x}}...{{else}}...{{/if}},
+ * {{#unless x}}...{{/unless}} and {{#each list}}...{{/each}}.
+ */
+function parseTemplate(template) {
+    // Block tags alone on their line don't leave blank lines behind (like Handlebars)
+    template = template.replace(/^[ \t]*(\{\{\s*(?:#if|#unless|#each|\/if|\/unless|\/each|else)\b[^}]*\}\})[ \t]*\r?\n/gm, '$1');
+
+    const root = { children: [] };
+    const stack = [root];
+    const tagRegex = /\{\{\s*(#if|#unless|#each|\/if|\/unless|\/each|else)?\s*([\w.@]*)\s*\}\}/g;
+    let lastIndex = 0;
+    let match;
+
+    const current = () => stack[stack.length - 1];
+    const append = (node) => (current().inElse ? current().elseChildren : current().children).push(node);
+
+    while ((match = tagRegex.exec(template)) !== null) {
+        const [tag, keyword, name] = match;
+        if (match.index > lastIndex) {
+            append({ type: 'text', value: template.slice(lastIndex, match.index) });
+        }
+        lastIndex = match.index + tag.length;
+
+        if (!keyword) {
+            append({ type: 'var', path: name });
+        } else if (keyword.startsWith('#')) {
+            const node = { type: keyword.slice(1), path: name, children: [], elseChildren: [] };
+            append(node);
+            stack.push(node);
+        } else if (keyword === 'else') {
+            if (stack.length === 1) {
+                throw new Error(t('template.elseOutside'));
+            }
+            current().inElse = true;
+        } else {
+            const node = stack.pop();
+            if (stack.length === 0 || node.type !== keyword.slice(1)) {
+                throw new Error(t('template.unexpected', { tag }));
+            }
+        }
+    }
+
+    if (stack.length > 1) {
+        throw new Error(t('template.unclosed', { tag: `{{#${current().type} ${current().path}}}` }));
+    }
+    if (lastIndex < template.length) {
+        append({ type: 'text', value: template.slice(lastIndex) });
+    }
+
+    return root.children;
+}
+
+function lookupTemplateValue(scopes, pathExpr) {
+    if (pathExpr === 'this') {
+        return scopes[scopes.length - 1];
+    }
+
+    const [head, ...rest] = pathExpr.split('.');
+    for (let i = scopes.length - 1; i >= 0; i--) {
+        const scope = scopes[i];
+        if (scope !== null && typeof scope === 'object' && head in scope) {
+            return rest.reduce((value, key) => (value == null ? undefined : value[key]), scope[head]);
+        }
+    }
+    return undefined;
+}
+
+function isTruthy(value) {
+    return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+function renderTemplateNodes(nodes, scopes) {
+    return nodes.map(node => {
+        const value = node.path ? lookupTemplateValue(scopes, node.path) : undefined;
+
+        switch (node.type) {
+            case 'text':
+                return node.value;
+            case 'var':
+                return value == null ? '' : String(value);
+            case 'if':
+                return renderTemplateNodes(isTruthy(value) ? node.children : node.elseChildren, scopes);
+            case 'unless':
+                return renderTemplateNodes(isTruthy(value) ? node.elseChildren : node.children, scopes);
+            case 'each':
+                if (!isTruthy(value)) {
+                    return renderTemplateNodes(node.elseChildren, scopes);
+                }
+                return [...value].map((item, index) =>
+                    renderTemplateNodes(node.children, [...scopes, { '@index': index + 1 }, item])
+                ).join('');
+            default:
+                return '';
+        }
+    }).join('');
+}
+
+function renderTemplate(template, data) {
+    return renderTemplateNodes(parseTemplate(template), [data]);
+}
+
+/**
+ * Find the repository's own PR template, if any
+ */
+function findRepoPRTemplate(gitRoot) {
+    for (const relativePath of REPO_PR_TEMPLATE_PATHS) {
+        const filePath = path.join(gitRoot, relativePath);
+        if (fs.existsSync(filePath)) {
+            return filePath;
+        }
+    }
+    return null;
+}
+
+// Heading keywords used to fill a repository PR template. Order matters:
+// "Breaking changes" and "Type of change" must win over plain "changes".
+const TEMPLATE_SECTION_MATCHERS = [
+    { field: 'breaking_changes', pattern: /breaking/ },
+    { field: 'type', pattern: /type of change|kind of change|^type\b/ },
+    { field: 'testing', pattern: /test|qa\b|verif|how to try/ },
+    { field: 'changes', pattern: /change|implementation/ },
+    { field: 'summary', pattern: /descri|summary|overview|purpose|motivation|context|what|why/ },
+    { field: 'notes', pattern: /note|additional|reviewer|comment/ }
+];
+
+const TYPE_CHECKBOX_PATTERNS = {
+    'feature': /feature|enhancement|new/i,
+    'fix': /bug|fix/i,
+    'refactor': /refactor/i,
+    'docs': /doc/i,
+    'test': /test/i,
+    'chore': /chore|maintenance|build|dependenc/i,
+    'perf': /perf/i,
+    'style': /style|format/i,
+    'ci': /\bci\b|pipeline/i
+};
+
+function fillTemplateSection(field, originalBody, prData) {
+    switch (field) {
+        case 'summary':
+            return prData.summary;
+        case 'changes':
+            return prData.changes.length > 0 ? prData.changes.map(c => `- ${c}`).join('\n') : null;
+        case 'breaking_changes':
+            return prData.breaking_changes.length > 0 ? prData.breaking_changes.map(c => `- ${c}`).join('\n') : 'None';
+        case 'testing':
+            return prData.testing || null;
+        case 'notes':
+            return prData.notes || null;
+        case 'type': {
+            // Tick the matching checkbox when the template offers a list of types.
+            // Only the label's leading text counts: hints such as "(non-breaking
+            // change which fixes an issue)" would match other types
+            if (/^\s*[-*] \[ \]/m.test(originalBody)) {
+                const pattern = TYPE_CHECKBOX_PATTERNS[prData.type];
+                return originalBody.replace(/^(\s*[-*] )\[ \](.*)$/gm, (line, prefix, label) => {
+                    const lead = label.split(/[(:]/)[0];
+                    const ticked = /breaking/i.test(lead)
+                        ? prData.breaking_changes.length > 0
+                        : Boolean(pattern && pattern.test(lead));
+                    return ticked ? `${prefix}[x]${label}` : line;
+                }).trim();
+            }
+            return `${TYPE_EMOJI[prData.type] || '📦'} \`${prData.type}\``;
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Fill the sections of a repository PR template. Headings are matched by
+ * keyword; unmatched sections (checklists, links...) are kept untouched.
+ */
+function fillRepoTemplate(templateText, prData) {
+    const sections = [];
+    let current = { heading: null, lines: [] };
+
+    for (const line of templateText.replace(/\r\n/g, '\n').split('\n')) {
+        if (/^#{1,6}\s+\S/.test(line)) {
+            sections.push(current);
+            current = { heading: line, lines: [] };
+        } else {
+            current.lines.push(line);
+        }
+    }
+    sections.push(current);
+
+    const filledFields = new Set();
+    const output = sections.map(({ heading, lines }) => {
+        const originalBody = lines.join('\n');
+        if (!heading) {
+            return originalBody;
+        }
+
+        const headingText = heading.replace(/^#+\s*/, '').replace(/[^\w\s']/g, '').trim().toLowerCase();
+        const matcher = TEMPLATE_SECTION_MATCHERS.find(m => m.pattern.test(headingText));
+        if (!matcher || filledFields.has(matcher.field)) {
+            return `${heading}\n${originalBody}`;
+        }
+
+        const filled = fillTemplateSection(matcher.field, originalBody, prData);
+        if (filled === null) {
+            return `${heading}\n${originalBody}`;
+        }
+
+        filledFields.add(matcher.field);
+        return `${heading}\n\n${filled}\n`;
+    });
+
+    return `# ${prData.title}\n\n${output.join('\n').trim()}\n`;
+}
+
+/**
+ * Resolve the template setting into something renderable:
+ *   'default' → built-in format (null)
+ *   'repo'    → the repository's own PR template, if it has one
+ *   path      → a text template ({{placeholders}}) or a .js module exporting
+ *               `(data) => string`; relative paths start at the git root
+ */
+function resolveTemplate(name, gitRoot) {
+    if (!name || name === 'default') {
+        return null;
+    }
+
+    if (name === 'repo') {
+        const filePath = findRepoPRTemplate(gitRoot);
+        return filePath ? { kind: 'repo', path: filePath, source: fs.readFileSync(filePath, 'utf-8') } : null;
+    }
+
+    const filePath = path.resolve(gitRoot, name);
+    if (!fs.existsSync(filePath)) {
+        throw new Error(t('template.notFound', { path: filePath }));
+    }
+
+    if (/\.c?js$/.test(filePath)) {
+        // A script template runs code, so one named by the repository config
+        // only runs when the user passes it with --template
+        const repoConfig = loadRepoConfig();
+        if (repoConfig && config.resolve('template').source === `repo: ${repoConfig.file}`) {
+            throw new Error(t('template.untrustedScript', { path: filePath, file: repoConfig.file, name }));
+        }
+        const render = require(filePath);
+        if (typeof render !== 'function') {
+            throw new Error(t('template.notFunction', { path: filePath }));
+        }
+        return { kind: 'js', path: filePath, render };
+    }
+
+    const source = fs.readFileSync(filePath, 'utf-8');
+    parseTemplate(source); // Fail early on syntax errors
+    return { kind: 'text', path: filePath, source };
+}
+
+function renderMarkdown(prData, context) {
+    const { template } = context;
+
+    if (!template) {
+        return formatPRMarkdown(prData, context);
+    }
+
+    switch (template.kind) {
+        case 'repo':
+            return fillRepoTemplate(template.source, prData);
+        case 'js':
+            return String(template.render(buildTemplateData(prData, context)));
+        default:
+            return renderTemplate(template.source, buildTemplateData(prData, context));
+    }
+}
+
+const OUTPUT_FORMATS = {
+    markdown: { extension: 'md', render: renderMarkdown },
+    json: { extension: 'json', render: formatPRJSON }
+};
+
+function renderPR(prData, context, format = 'markdown') {
+    return OUTPUT_FORMATS[format].render(prData, context);
+}
+
+// ============================================
+// EXCLUDED FILES MANAGEMENT
+// ============================================
+
+function getExcludedFiles() {
+    return config.get('excludeFiles');
+}
+
+/**
+ * Translate a gitignore glob (without leading "!" or trailing "/") into a
+ * regex source: "*" and "?" stop at "/", "[...]" is a character class and
+ * "**" spans directories when it is a whole path segment.
+ */
+function globToRegexSource(glob) {
+    let source = '';
+    let i = 0;
+
+    while (i < glob.length) {
+        const char = glob[i];
+
+        if (char === '*' && glob[i + 1] === '*') {
+            const atStart = i === 0 || glob[i - 1] === '/';
+            const atEnd = i + 2 === glob.length || glob[i + 2] === '/';
+            if (atStart && atEnd) {
+                if (i + 2 === glob.length) {
+                    source += '.*';                  // "dir/**" → everything inside
+                    i += 2;
+                } else {
+                    source += '(?:.*/)?';            // "**/x" and "a/**/b" → zero or more dirs
+                    i += 3;
+                }
+                continue;
+            }
+            source += '[^/]*';
+            i += 2;
+            continue;
+        }
+
+        if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '[') {
+            const close = glob.indexOf(']', i + 2);
+            if (close === -1) {
+                source += '\\[';
+            } else {
+                let cls = glob.slice(i + 1, close).replace(/\\/g, '\\\\');
+                if (cls.startsWith('!')) {
+                    cls = '^' + cls.slice(1);
+                }
+                source += `[${cls}]`;
+                i = close;
+            }
+        } else if (char === '\\' && i + 1 < glob.length) {
+            source += glob[i + 1].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+            i++;
+        } else {
+            source += char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+        }
+        i++;
+    }
+
+    return source;
+}
+
+/**
+ * Compile one gitignore line into a rule, or null for blanks and comments
+ */
+function compileExcludeRule(line, source) {
+    let pattern = line.replace(/(?<!\\)\s+$/, '');
+    if (!pattern || pattern.startsWith('#')) {
+        return null;
+    }
+
+    const rule = { pattern, source, negate: false, dirOnly: false };
+
+    if (pattern.startsWith('!')) {
+        rule.negate = true;
+        pattern = pattern.slice(1);
+    } else if (pattern.startsWith('\\!') || pattern.startsWith('\\#')) {
+        pattern = pattern.slice(1);
+    }
+
+    if (pattern.endsWith('/')) {
+        rule.dirOnly = true;
+        pattern = pattern.replace(/\/+$/, '');
+    }
+
+    // A slash anywhere but the end anchors the pattern to the repository root
+    const anchored = pattern.includes('/');
+    pattern = pattern.replace(/^\//, '');
+    if (!pattern) {
+        return null;
+    }
+
+    const body = globToRegexSource(pattern);
+    rule.regex = new RegExp(anchored ? `^${body}$` : `^(?:.*/)?${body}$`);
+    return rule;
+}
+
+/**
+ * Rules of the repository's .mkprignore, if any
+ */
+function getMkprignoreRules() {
+    let filePath;
+    try {
+        filePath = path.join(getGitRoot(), MKPRIGNORE_FILE);
+    } catch {
+        return [];
+    }
+    if (!fs.existsSync(filePath)) {
+        return [];
+    }
+
+    return fs.readFileSync(filePath, 'utf-8')
+        .split(/\r?\n/)
+        .map((line, index) => compileExcludeRule(line, `${MKPRIGNORE_FILE}:${index + 1}`))
+        .filter(Boolean);
+}
+
+/**
+ * All exclusion rules in precedence order (later rules win):
+ * built-in patterns, configured excludes, then .mkprignore
+ */
+function getAllExcludePatterns() {
+    const excludeSource = config.resolve('excludeFiles').source;
+    return [
+        ...FIXED_EXCLUDE_PATTERNS.map(pattern => compileExcludeRule(pattern, 'built-in')),
+        ...getExcludedFiles().map(pattern => compileExcludeRule(pattern, excludeSource)),
+        ...getMkprignoreRules()
+    ].filter(Boolean);
+}
+
+function findLastMatchingRule(filePath, rules, isDirectory) {
+    for (let i = rules.length - 1; i >= 0; i--) {
+        const rule = rules[i];
+        if (rule.dirOnly && !isDirectory) {
+            continue;
+        }
+        if (rule.regex.test(filePath)) {
+            return rule;
+        }
+    }
+    return null;
+}
+
+/**
+ * Decide whether a path is excluded, gitignore style: the last matching rule
+ * wins, and a file inside an excluded directory can't be re-included.
+ * Returns { excluded, rule } where rule is the deciding one (or null).
+ */
+function explainExclude(filename, excludePatterns) {
+    const parts = filename.split('/');
+
+    for (let i = 1; i < parts.length; i++) {
+        const rule = findLastMatchingRule(parts.slice(0, i).join('/'), excludePatterns, true);
+        if (rule && !rule.negate) {
+            return { excluded: true, rule };
+        }
+    }
+
+    const rule = findLastMatchingRule(filename, excludePatterns, false);
+    return { excluded: Boolean(rule && !rule.negate), rule };
+}
+
+function shouldExcludeFile(filename, excludePatterns) {
+    return explainExclude(filename, excludePatterns).excluded;
+}
+
+function filterDiff(diff, excludePatterns) {
+    const lines = diff.split('\n');
+    const filteredLines = [];
+    let excludingCurrentFile = false;
+
+    for (const line of lines) {
+        // Detect start of new file
+        if (line.startsWith('diff --git')) {
+            const match = line.match(/diff --git a\/(.+) b\/(.+)/);
+            if (match) {
+                const currentFile = match[2];
+                excludingCurrentFile = shouldExcludeFile(currentFile, excludePatterns);
+                debugLog(`File: ${currentFile}, excluded: ${excludingCurrentFile}`);
+            }
+        }
+
+        if (!excludingCurrentFile) {
+            filteredLines.push(line);
+        }
+    }
+
+    return filteredLines.join('\n');
+}
+
+function listExcludes() {
+    const { value: excludes, source } = config.resolve('excludeFiles');
+    const origin = source.startsWith('repo') ? chalk.gray(` (${source})`) : '';
+    console.log(chalk.cyan(`\n🚫 ${t('excludes.title')}${origin}${chalk.cyan(':')}\n`));
+
+    if (excludes.length === 0) {
+        console.log(chalk.yellow(`   ${t('excludes.none')}`));
+    } else {
+        excludes.forEach((file, index) => {
+            const isDefault = DEFAULT_EXCLUDES.includes(file);
+            const tag = isDefault ? chalk.gray(` ${t('excludes.default')}`) : '';
+            console.log(chalk.white(`   ${index + 1}. ${chalk.yellow(file)}${tag}`));
+        });
+    }
+
+    console.log(chalk.cyan(`\n📁 ${t('excludes.builtIn')}\n`));
+    FIXED_EXCLUDE_PATTERNS.forEach(pattern => {
+        console.log(chalk.gray(`   • ${pattern}`));
+    });
+
+    const ignoreRules = getMkprignoreRules();
+    if (ignoreRules.length > 0) {
+        console.log(chalk.cyan(`\n📄 ${MKPRIGNORE_FILE}:\n`));
+        ignoreRules.forEach(rule => {
+            console.log(chalk.white(`   • ${chalk.yellow(rule.pattern)} ${chalk.gray(t('excludes.line', { line: rule.source.split(':')[1] }))}`));
+        });
+    }
+    console.log();
+}
+
+/**
+ * Show which rule decides whether a path is analyzed
+ */
+function explainExcludeCommand(inputPath) {
+    let filePath = inputPath;
+    try {
+        const relative = path.relative(getGitRoot(), path.resolve(process.cwd(), inputPath));
+        if (!relative.startsWith('..')) {
+            filePath = relative;
+        }
+    } catch {
+        // Outside a repository: match the path as given
+    }
+    filePath = filePath.split(path.sep).join('/');
+
+    const { excluded, rule } = explainExclude(filePath, getAllExcludePatterns());
+
+    console.log();
+    if (excluded) {
+        console.log(chalk.red(`🚫 ${t('excludes.excluded', { path: chalk.yellow(filePath) })}`));
+    } else {
+        console.log(chalk.green(`✅ ${t('excludes.analyzed', { path: chalk.yellow(filePath) })}`));
+    }
+
+    if (rule) {
+        const key = rule.negate ? 'excludes.reincludedBy' : 'excludes.matchedBy';
+        console.log(chalk.white(`   ${t(key, { pattern: chalk.yellow(rule.pattern) })} ${chalk.gray(`(${rule.source})`)}`));
+    } else {
+        console.log(chalk.gray(`   ${t('excludes.noRule')}`));
+    }
+    console.log();
+}
+
+function addExclude(file) {
+    const excludes = globalConfig.get('excludeFiles');
+
+    if (excludes.includes(file)) {
+        console.log(chalk.yellow(`\n⚠️  ${t('excludes.alreadyAdded', { file })}\n`));
+        return;
+    }
+
+    excludes.push(file);
+    config.set('excludeFiles', excludes);
+    console.log(chalk.green(`\n✅ ${t('excludes.added', { file: chalk.yellow(file) })}\n`));
+}
+
+function removeExclude(file) {
+    const excludes = globalConfig.get('excludeFiles');
+    const index = excludes.indexOf(file);
+
+    if (index === -1) {
+        console.log(chalk.yellow(`\n⚠️  ${t('excludes.notListed', { file })}\n`));
+        console.log(chalk.white(`   ${t('excludes.listHint')}\n`));
+        return;
+    }
+
+    excludes.splice(index, 1);
+    config.set('excludeFiles', excludes);
+    console.log(chalk.green(`\n✅ ${t('excludes.removed', { file: chalk.yellow(file) })}\n`));
+}
+
+function resetExcludes() {
+    config.set('excludeFiles', [...DEFAULT_EXCLUDES]);
+    console.log(chalk.green(`\n✅ ${t('excludes.reset')}\n`));
+}
+
+// ============================================
+// GIT FUNCTIONS
+// ============================================
+
+// All git access goes through runGit: arguments are passed as an array and
+// never parsed by a shell. Failures are classified by their stderr, first match wins.
+const GIT_ERROR_KINDS = [
+    { kind: 'not-a-repository', patterns: ['not a git repository'] },
+    { kind: 'no-remote', patterns: ['No such remote', 'does not appear to be a git repository'] },
+    { kind: 'auth', patterns: ['Authentication failed', 'Permission denied', 'could not read Username'] },
+    { kind: 'network', patterns: ['Could not resolve host', 'unable to access', 'Connection refused', 'Network is unreachable'] },
+    { kind: 'unknown-revision', patterns: ['unknown revision', 'bad revision', 'Needed a single revision', 'ambiguous argument', 'no upstream configured'] }
+];
+
+/**
+ * Wrap a failed git call in an Error carrying `kind` (one of GIT_ERROR_KINDS,
+ * 'git-missing', 'too-large', 'timeout' or 'failed'), `command` and `stderr`
+ */
+function toGitError(error, args) {
+    const stderr = error.stderr ? error.stderr.toString().trim() : '';
+    let kind;
+
+    // Sync calls report limits as ENOBUFS/ETIMEDOUT, async ones as the
+    // maxBuffer code and a killed child
+    if (error.code === 'ENOENT') {
+        kind = 'git-missing';
+    } else if (error.code === 'ENOBUFS' || error.code === 'ERR_CHILD_PROCESS_STDIO_MAXBUFFER') {
+        kind = 'too-large';
+    } else if (error.code === 'ETIMEDOUT' || error.killed) {
+        kind = 'timeout';
+    } else {
+        kind = GIT_ERROR_KINDS.find(({ patterns }) => patterns.some(p => stderr.includes(p)))?.kind || 'failed';
+    }
+
+    const lastLine = stderr.split('\n').filter(Boolean).pop();
+    const gitError = new Error(lastLine ? lastLine.replace(/^(fatal|error): /, '') : error.message);
+    gitError.kind = kind;
+    gitError.command = `git ${args.join(' ')}`;
+    gitError.stderr = stderr;
+    return gitError;
+}
+
+/**
+ * Run git with an argument array and return its stdout. `inheritOutput`
+ * shows git's own output (e.g. for commit); `input` is written to stdin;
+ * `env` replaces the environment (e.g. to point GIT_INDEX_FILE elsewhere).
+ */
+function runGit(args, { input, timeout, env, inheritOutput = false } = {}) {
+    debugLog(`git ${args.join(' ')}`);
+    try {
+        return execFileSync('git', args, {
+            encoding: 'utf-8',
+            input,
+            timeout,
+            env,
+            maxBuffer: MAX_BUFFER_SIZE,
+            stdio: ['pipe', inheritOutput ? 'inherit' : 'pipe', inheritOutput ? 'inherit' : 'pipe']
+        });
+    } catch (error) {
+        throw toGitError(error, args);
+    }
+}
+
+/**
+ * Async runGit, so several git calls can run while spinners keep animating
+ */
+async function runGitAsync(args, { timeout, env } = {}) {
+    debugLog(`git ${args.join(' ')}`);
+    try {
+        const { stdout } = await execFileAsync('git', args, {
+            encoding: 'utf-8',
+            timeout,
+            env,
+            maxBuffer: MAX_BUFFER_SIZE
+        });
+        return stdout;
+    } catch (error) {
+        throw toGitError(error, args);
+    }
+}
+
+/**
+ * Check if we're inside a valid git repository
+ */
+function isGitRepository() {
+    try {
+        return runGit(['rev-parse', '--is-inside-work-tree']).trim() === 'true';
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Whether git accepts the name as a branch name (git check-ref-format)
+ */
+function isValidBranchName(branchName) {
+    if (!branchName || branchName.startsWith('-')) {
+        return false;
+    }
+    try {
+        runGit(['check-ref-format', '--branch', branchName]);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Get current branch name
+ */
+function getCurrentBranch() {
+    try {
+        return runGit(['rev-parse', '--abbrev-ref', 'HEAD']).trim();
+    } catch (error) {
+        debugLog('Error getting current branch:', error.message);
+        throw new Error(t('git.noBranch'));
+    }
+}
+
+/**
+ * Get the absolute path of the repository root
+ */
+function getGitRoot() {
+    try {
+        return runGit(['rev-parse', '--show-toplevel']).trim();
+    } catch (error) {
+        debugLog('Error getting git root:', error.message);
+        throw new Error(t('git.noRoot'));
+    }
+}
+
+/**
+ * Absolute path of a file inside the git directory (honors core.hooksPath
+ * and worktrees), e.g. getGitPath('hooks/prepare-commit-msg')
+ */
+function getGitPath(name) {
+    return path.resolve(process.cwd(), runGit(['rev-parse', '--git-path', name]).trim());
+}
+
+function revisionExists(revision) {
+    try {
+        runGit(['rev-parse', '--verify', '--quiet', `${revision}^{commit}`]);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Validate and get remote base branch
+ */
+function getRemoteBaseBranch(baseBranch) {
+    // Validate branch name first
+    if (!isValidBranchName(baseBranch)) {
+        throw new Error(t('set.invalidBranch', { branch: baseBranch }));
+    }
+
+    // Try origin/branch first, then the local branch
+    if (revisionExists(`origin/${baseBranch}`)) {
+        return `origin/${baseBranch}`;
+    }
+    if (revisionExists(baseBranch)) {
+        return baseBranch;
+    }
+    throw new Error(t('git.baseNotFound', { branch: baseBranch }));
+}
+
+/**
+ * Branch origin/HEAD points to (the remote's default branch), or null
+ */
+async function getOriginDefaultBranch() {
+    try {
+        const ref = await runGitAsync(['symbolic-ref', '--quiet', '--short', 'refs/remotes/origin/HEAD']);
+        return ref.trim().replace(/^origin\//, '');
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Candidate base branches for the current branch, nearest merge-base first:
+ * [{ branch, ref, distance, isDefault }] where distance is the number of
+ * commits on HEAD since it diverged from ref
+ */
+async function detectBaseBranches() {
+    const currentBranch = getCurrentBranch();
+    const defaultBranch = await getOriginDefaultBranch();
+    const names = [...new Set([defaultBranch, ...BASE_BRANCH_CANDIDATES])]
+        .filter(name => name && name !== currentBranch);
+
+    const candidates = await Promise.all(names.map(async (branch) => {
+        const ref = revisionExists(`origin/${branch}`) ? `origin/${branch}`
+            : revisionExists(branch) ? branch : null;
+        if (!ref) {
+            return null;
+        }
+        try {
+            // ref..HEAD holds exactly the commits made since the merge-base
+            const distance = Number((await runGitAsync(['rev-list', '--count', `${ref}..HEAD`])).trim());
+            return { branch, ref, distance, isDefault: branch === defaultBranch };
+        } catch {
+            return null;
+        }
+    }));
+
+    // sort is stable, so ties keep origin/HEAD and BASE_BRANCH_CANDIDATES order
+    return candidates.filter(Boolean).sort((a, b) => a.distance - b.distance);
+}
+
+/**
+ * Local branches not merged into trunkRef, as a Map of
+ * branch → { branch, parent, children, depth }. A branch's parent is the
+ * deepest other unmerged branch its tip contains; depth counts its commits
+ * on top of trunkRef. Long-lived branches (BASE_BRANCH_CANDIDATES and the
+ * trunk itself) never take part in a stack.
+ */
+async function getUnmergedBranchTree(trunkRef) {
+    const trunkName = trunkRef.replace(/^origin\//, '');
+    const tips = new Map((await runGitAsync(['for-each-ref', '--format=%(refname:short) %(objectname)', `--no-merged=${trunkRef}`, 'refs/heads']))
+        .split('\n')
+        .filter(Boolean)
+        .map(line => line.split(' '))
+        .filter(([name]) => name !== trunkName && !BASE_BRANCH_CANDIDATES.includes(name)));
+    const tree = new Map();
+    if (tips.size === 0) {
+        return tree;
+    }
+
+    // Two git calls however many branches there are: every commit the local
+    // branches have on top of the trunk, with its parents, is walked in memory
+    const parents = new Map((await runGitAsync(['rev-list', '--parents', '--branches', `^${trunkRef}`]))
+        .split('\n')
+        .filter(Boolean)
+        .map(line => {
+            const [commit, ...rest] = line.split(' ');
+            return [commit, rest];
+        }));
+    const tipOwners = new Map();
+    for (const [name, tip] of tips) {
+        tipOwners.set(tip, [...(tipOwners.get(tip) || []), name]);
+    }
+
+    for (const [branch, tip] of tips) {
+        const reached = new Set();
+        const pending = [tip];
+        while (pending.length > 0) {
+            const commit = pending.pop();
+            if (reached.has(commit) || !parents.has(commit)) {
+                continue;
+            }
+            reached.add(commit);
+            pending.push(...parents.get(commit));
+        }
+        const contained = [...reached].flatMap(commit => tipOwners.get(commit) || []);
+        tree.set(branch, { branch, parent: null, children: [], depth: reached.size, contained });
+    }
+
+    for (const node of tree.values()) {
+        // Branches pointing at the same commit have the same depth and aren't each other's parent
+        const ancestors = node.contained
+            .map(name => tree.get(name))
+            .filter(other => other && other.depth < node.depth);
+        const parent = ancestors.sort((a, b) => b.depth - a.depth)[0];
+        if (parent) {
+            node.parent = parent.branch;
+            parent.children.push(node.branch);
+        }
+    }
+
+    return tree;
+}
+
+/**
+ * The stack a branch belongs to, bottom (next to the trunk) first: its
+ * ancestors, itself, then its descendants depth-first.
+ * Returns [{ branch, parent, depth }], or [] when the branch isn't unmerged.
+ */
+async function getStack(trunkRef, branch) {
+    const tree = await getUnmergedBranchTree(trunkRef);
+    const node = tree.get(branch);
+    if (!node) {
+        return [];
+    }
+
+    const toEntry = ({ branch: name, parent, depth }) => ({ branch: name, parent, depth });
+    const stack = [];
+
+    for (let ancestor = tree.get(node.parent); ancestor; ancestor = tree.get(ancestor.parent)) {
+        stack.unshift(toEntry(ancestor));
+    }
+
+    const addWithDescendants = (current) => {
+        stack.push(toEntry(current));
+        current.children.sort().forEach(child => addWithDescendants(tree.get(child)));
+    };
+    addWithDescendants(node);
+
+    return stack;
+}
+
+/**
+ * Environment whose GIT_INDEX_FILE is a copy of the index with the untracked
+ * (not ignored) files marked intent-to-add, so `git diff HEAD` shows them as
+ * new files. The real index is left alone. Undefined when nothing is untracked.
+ */
+function getUntrackedIndexEnv() {
+    if (!runGit(['ls-files', '--others', '--exclude-standard', '--', ':/']).trim()) {
+        return undefined;
+    }
+
+    const indexFile = path.join(os.tmpdir(), `mkpr-index-${process.pid}`);
+    const currentIndex = getGitPath('index');
+    if (fs.existsSync(currentIndex)) {
+        fs.copyFileSync(currentIndex, indexFile);
+    }
+    process.on('exit', () => {
+        if (fs.existsSync(indexFile)) {
+            fs.unlinkSync(indexFile);
+        }
+    });
+
+    const env = { ...process.env, GIT_INDEX_FILE: indexFile };
+    runGit(['add', '--intent-to-add', '--', ':/'], { env });
+    return env;
+}
+
+/**
+ * Describe what gets compared. Modes:
+ * - branch: the current branch (or `head`) against the base branch (default),
+ *   or against `stackParent`, the local branch it is stacked on
+ * - staged: staged changes against HEAD
+ * - working-tree: all uncommitted changes (staged or not, and untracked
+ *   files) against HEAD
+ * - range: an arbitrary "A..B" or "A...B" commit range
+ * `diffArgs`/`logRange` are the revision arguments for git diff and git log
+ * (logRange is null when there are no commits to list); `env`, when set, is
+ * the environment for the git diff calls.
+ */
+function resolveDiffSource({ baseBranch, staged, workingTree, range, head, stackParent }) {
+    if ([staged, workingTree, range].filter(Boolean).length > 1) {
+        throw new Error(t('git.oneSource'));
+    }
+
+    const currentBranch = getCurrentBranch();
+
+    if (range) {
+        const match = range.match(/^(.+?)(\.\.\.?)(.*)$/);
+        if (!match) {
+            throw new Error(t('git.invalidRange', { range }));
+        }
+        const [, from, dots, to = ''] = match;
+        const end = to || 'HEAD';
+        for (const revision of [from, end]) {
+            // A leading dash would be read as an option
+            if (revision.startsWith('-')) {
+                throw new Error(t('git.invalidRevision', { revision }));
+            }
+            if (!revisionExists(revision)) {
+                throw new Error(t('git.revisionNotFound', { revision }));
+            }
+        }
+        return {
+            mode: 'range',
+            currentBranch: end,
+            baseBranch: from,
+            diffArgs: [`${from}${dots}${end}`],
+            logRange: `${from}..${end}`,
+            name: `${from}..${end}`,
+            description: `commit range ${from}${dots}${end}`
+        };
+    }
+
+    if (staged || workingTree) {
+        // The diff is against HEAD, but the description still targets the base branch
+        let target;
+        try {
+            target = getRemoteBaseBranch(baseBranch);
+        } catch {
+            target = baseBranch;
+        }
+        return {
+            mode: staged ? 'staged' : 'working-tree',
+            currentBranch,
+            baseBranch: target,
+            diffArgs: staged ? ['--cached'] : ['HEAD'],
+            env: staged ? undefined : getUntrackedIndexEnv(),
+            logRange: null,
+            name: currentBranch,
+            description: staged ? 'staged changes (not committed yet)' : 'uncommitted changes in the working tree'
+        };
+    }
+
+    // The local parent is used as is: it may have commits not pushed yet
+    const baseRef = stackParent || getRemoteBaseBranch(baseBranch);
+    const headRef = head || 'HEAD';
+    return {
+        mode: 'branch',
+        currentBranch: head || currentBranch,
+        baseBranch: baseRef,
+        diffArgs: [`${baseRef}...${headRef}`],
+        logRange: `${baseRef}..${headRef}`,
+        name: head || currentBranch,
+        description: stackParent ? `only the changes stacked on ${stackParent} (not merged yet)` : null
+    };
+}
+
+/**
+ * Get the diff of a diff source (see resolveDiffSource), without the files
+ * matched by `excludePatterns` (see getAllExcludePatterns)
+ */
+async function getBranchDiff(source, excludePatterns) {
+    try {
+        debugLog(`Diff source: ${source.mode} (${source.diffArgs.join(' ')})`);
+
+        // Get diff
+        let diff = await runGitAsync(['diff', '--no-color', ...source.diffArgs], { env: source.env });
+
+        if (!diff.trim()) {
+            return null;
+        }
+
+        // Filter excluded files programmatically
+        diff = filterDiff(diff, excludePatterns);
+
+        if (!diff.trim()) {
+            return null;
+        }
+
+        return {
+            diff,
+            currentBranch: source.currentBranch,
+            baseBranch: source.baseBranch
+        };
+
+    } catch (error) {
+        if (error.kind === 'not-a-repository') {
+            throw new Error(t('common.notGitRepo'));
+        }
+        if (error.kind === 'too-large') {
+            throw new Error(t('git.tooLarge'));
+        }
+
+        debugLog('Error getting branch diff:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Get list of commits of a diff source
+ */
+async function getCommitsList(source) {
+    if (!source.logRange) {
+        return [];
+    }
+
+    try {
+        const commits = await runGitAsync(['log', '--oneline', '--no-decorate', source.logRange]);
+        return commits.trim().split('\n').filter(c => c);
+    } catch (error) {
+        debugLog('Error getting commits:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Get list of changed files with status, flagging those matched by `excludePatterns`
+ */
+async function getChangedFiles(source, excludePatterns) {
+    try {
+        const files = await runGitAsync(['diff', '--name-status', ...source.diffArgs], { env: source.env });
+
+        return files.trim().split('\n').filter(f => f).map(line => {
+            const [status, ...fileParts] = line.split('\t');
+            const file = fileParts.join('\t');
+            const statusMap = { 'A': 'added', 'M': 'modified', 'D': 'deleted', 'R': 'renamed' };
+            return {
+                status: statusMap[status[0]] || status,
+                statusCode: status[0],
+                file,
+                excluded: shouldExcludeFile(file, excludePatterns)
+            };
+        });
+    } catch (error) {
+        debugLog('Error getting changed files:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Get diff statistics
+ */
+async function getFilesStats(source) {
+    try {
+        const stats = await runGitAsync(['diff', '--stat', ...source.diffArgs], { env: source.env });
+        return stats.trim();
+    } catch (error) {
+        debugLog('Error getting stats:', error.message);
+        return '(stats unavailable)';
+    }
+}
+
+/**
+ * Collect the diff, commits, files and stats of a diff source concurrently.
+ * `timings` (see createTimings) records each call.
+ */
+async function collectGitData(source, timings = createTimings(false)) {
+    // Synchronous lookups (repository check, git root for .mkprignore) run
+    // once up front so they don't block the concurrent git calls
+    if (!isGitRepository()) {
+        throw new Error(t('git.notRepo'));
+    }
+    const excludePatterns = getAllExcludePatterns();
+
+    const [diffData, commits, changedFiles, stats] = await Promise.all([
+        timings.measure('git diff', () => getBranchDiff(source, excludePatterns)),
+        timings.measure('git log', () => getCommitsList(source)),
+        timings.measure('git diff --name-status', () => getChangedFiles(source, excludePatterns)),
+        timings.measure('git diff --stat', () => getFilesStats(source))
+    ]);
+    return { diffData, commits, changedFiles, stats };
+}
+
+/**
+ * Commits of a range following the first parent only:
+ * [{ hash, parents (count), subject, body }]
+ */
+function getFirstParentLog(range) {
+    const output = runGit(['log', '--first-parent', '--format=%H%x1f%P%x1f%s%x1f%b%x1e', range]);
+
+    return output.split('\x1e')
+        .map(record => record.trim())
+        .filter(Boolean)
+        .map(record => {
+            const [hash, parents, subject, body = ''] = record.split('\x1f');
+            return { hash, parents: parents.split(' ').length, subject, body };
+        });
+}
+
+/**
+ * Most recent tag reachable from the parent of a revision
+ */
+function getPreviousTag(revision) {
+    try {
+        return runGit(['describe', '--tags', '--abbrev=0', `${revision}^`]).trim();
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Commit the staged changes with the given message
+ */
+function commitWithMessage(message) {
+    runGit(['commit', '-F', '-'], { input: message, inheritOutput: true });
+}
+
+/**
+ * Write a release section into a changelog file, creating it if needed
+ */
+function writeChangelog(filePath, section, release) {
+    const existing = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf-8') : '';
+    fs.writeFileSync(filePath, insertChangelogSection(existing, section, release), 'utf-8');
+}
+
+/**
+ * Fetch latest from origin
+ */
+async function fetchOrigin() {
+    try {
+        await runGitAsync(['fetch', 'origin'], { timeout: 30000 }); // 30 second timeout
+        return { success: true };
+    } catch (error) {
+        debugLog('Fetch error:', error.stderr || error.message);
+
+        const messages = {
+            'network': 'No network connection',
+            'auth': 'Authentication failed',
+            'timeout': 'Connection timeout',
+            'no-remote': 'No origin remote'
+        };
+        if (messages[error.kind]) {
+            return { success: false, reason: error.kind, message: messages[error.kind] };
+        }
+
+        return { success: false, reason: 'unknown', message: 'Unknown error' };
+    }
+}
+
+/**
+ * Get the URL of a remote, or null if it doesn't exist
+ */
+function getRemoteUrl(remote = 'origin') {
+    try {
+        return runGit(['remote', 'get-url', remote]).trim();
+    } catch (error) {
+        debugLog('Error getting remote URL:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Push the branch to origin unless its upstream already has every commit.
+ * Returns true when a push happened.
+ */
+function pushBranchIfNeeded(branchName) {
+    try {
+        const pending = runGit(['rev-list', '--count', `${branchName}@{upstream}..${branchName}`]).trim();
+        if (pending === '0') {
+            return false;
+        }
+    } catch {
+        debugLog(`No upstream for ${branchName}, pushing`);
+    }
+
+    try {
+        runGit(['push', '-u', 'origin', branchName], { timeout: 60000 });
+        return true;
+    } catch (error) {
+        throw new Error(`Could not push ${branchName} to origin: ${error.message}`);
+    }
+}
+
+/**
+ * Save PR description to file
+ */
+function savePRDescription(content, branchName, outputDir, extension = 'md') {
+    const sanitizedName = sanitizeBranchName(branchName);
+    const fileName = `${sanitizedName}_pr.${extension}`;
+
+    const resolvedOutputDir = path.resolve(process.cwd(), outputDir);
+    const filePath = path.join(resolvedOutputDir, fileName);
+
+    if (!fs.existsSync(resolvedOutputDir)) {
+        fs.mkdirSync(resolvedOutputDir, { recursive: true });
+    }
+
+    fs.writeFileSync(filePath, content, 'utf-8');
+    return filePath;
+}
+
+// ============================================
+// LLM PROVIDERS
+// ============================================
+
+/**
+ * Normalize user input for the Ollama location. Accepts a full URL
+ * (https://gpu-box:11434/ollama) or a bare host (gpu-box, gpu-box:11434);
+ * bare hosts default to http and the configured port.
+ */
+function normalizeOllamaUrl(input) {
+    const hasScheme = /^[a-z][a-z0-9+.-]*:\/\//i.test(input);
+    let url;
+
+    try {
+        url = new URL(hasScheme ? input : `http://${input}`);
+    } catch {
+        throw new Error(t('set.invalidOllamaUrl', { url: input }));
+    }
+
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw new Error(t('set.invalidOllamaScheme', { url: input }));
+    }
+
+    if (!hasScheme && !url.port) {
+        url.port = String(config.get('ollamaPort'));
+    }
+
+    return `${url.protocol}//${url.host}${url.pathname.replace(/\/+$/, '')}`;
+}
+
+function getOllamaBaseUrl() {
+    const url = config.get('ollamaUrl');
+    if (url) {
+        return url.replace(/\/+$/, '');
+    }
+    return `http://localhost:${config.get('ollamaPort')}`;
+}
+
+/**
+ * Parse the configured "Name: value" auth header into a headers object
+ */
+function getOllamaAuthHeaders() {
+    const header = config.get('ollamaAuthHeader');
+    if (!header) {
+        return {};
+    }
+
+    const separator = header.indexOf(':');
+    return { [header.slice(0, separator).trim()]: header.slice(separator + 1).trim() };
+}
+
+/**
+ * Each provider exposes the same surface:
+ *   - listModels(): Promise<Array<{ name, size }>>
+ *   - chat({ model, messages, format, options, onToken, signal }): Promise<string>
+ * `format` is either 'json' or a JSON schema object, and `options` uses
+ * provider-neutral names (temperature, maxTokens, topP). When `onToken` is
+ * given the response is streamed and every chunk of text is passed to it.
+ */
+const PROVIDERS = {
+    'ollama': {
+        label: 'Ollama',
+
+        baseUrl() {
+            return getOllamaBaseUrl();
+        },
+
+        async listModels() {
+            const response = await fetchWithTimeout(`${this.baseUrl()}/api/tags`, {
+                headers: getOllamaAuthHeaders()
+            }, 10000);
+
+            if (!response.ok) {
+                throw new Error(`Could not connect to Ollama at ${this.baseUrl()} (HTTP ${response.status})`);
+            }
+
+            const data = await response.json();
+            return (data.models || []).map(model => ({
+                name: model.name || model.model,
+                size: model.size
+            }));
+        },
+
+        async chat({ model, messages, format, options = {}, onToken, signal }) {
+            const request = {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...getOllamaAuthHeaders() },
+                body: JSON.stringify({
+                    model,
+                    messages,
+                    stream: Boolean(onToken),
+                    format,
+                    options: {
+                        temperature: options.temperature,
+                        num_predict: options.maxTokens,
+                        top_p: options.topP
+                    }
+                }),
+                signal
+            };
+
+            if (onToken) {
+                // Ollama streams NDJSON: one JSON object per line, the last one with done: true
+                let content = '';
+                try {
+                    await fetchLines(`${this.baseUrl()}/api/chat`, request, line => {
+                        const data = JSON.parse(line);
+                        if (data.error) {
+                            throw new Error(`Ollama error: ${data.error}`);
+                        }
+                        const token = data.message?.content || data.response || '';
+                        if (token) {
+                            content += token;
+                            onToken(token);
+                        }
+                    });
+                } catch (error) {
+                    if (error.status) {
+                        throw new Error(`Ollama error (${error.status}): ${error.message}`);
+                    }
+                    throw error;
+                }
+                return content;
+            }
+
+            const response = await fetchWithTimeout(`${this.baseUrl()}/api/chat`, request);
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`Ollama error (${response.status}): ${errorText}`);
+            }
+
+            const data = await response.json();
+            return data.message?.content || data.response || '';
+        }
+    },
+
+    'openai-compatible': {
+        label: 'OpenAI-compatible server',
+
+        baseUrl() {
+            return config.get('openaiUrl').replace(/\/+$/, '');
+        },
+
+        headers() {
+            const headers = { 'Content-Type': 'application/json' };
+            const apiKey = process.env.MKPR_API_KEY || process.env.OPENAI_API_KEY;
+            if (apiKey) {
+                headers['Authorization'] = `Bearer ${apiKey}`;
+            }
+            return headers;
+        },
+
+        async listModels() {
+            const response = await fetchWithTimeout(`${this.baseUrl()}/models`, {
+                headers: this.headers()
+            }, 10000);
+
+            if (!response.ok) {
+                throw new Error(`Could not connect to OpenAI-compatible server at ${this.baseUrl()}`);
+            }
+
+            const data = await response.json();
+            return (data.data || []).map(model => ({
+                name: model.id,
+                size: undefined
+            }));
+        },
+
+        async chat({ model, messages, format, options = {}, onToken, signal }) {
+            const body = {
+                model,
+                messages,
+                stream: Boolean(onToken),
+                temperature: options.temperature,
+                max_tokens: options.maxTokens,
+                top_p: options.topP
+            };
+
+            // Plain `json_object` mode is not accepted by every server (LM Studio
+            // only takes `json_schema`), so only schemas are forwarded; the prompt
+            // already asks for JSON output.
+            if (format && typeof format === 'object') {
+                body.response_format = {
+                    type: 'json_schema',
+                    json_schema: { name: 'response', schema: format }
+                };
+            }
+
+            const request = {
+                method: 'POST',
+                headers: this.headers(),
+                body: JSON.stringify(body),
+                signal
+            };
+
+            if (onToken) {
+                // Server-sent events: "data: {...}" lines, terminated by "data: [DONE]"
+                let content = '';
+                try {
+                    await fetchLines(`${this.baseUrl()}/chat/completions`, request, line => {
+                        if (!line.startsWith('data:')) return;
+                        const payload = line.slice(5).trim();
+                        if (payload === '[DONE]') return;
+
+                        const token = JSON.parse(payload).choices?.[0]?.delta?.content || '';
+                        if (token) {
+                            content += token;
+                            onToken(token);
+                        }
+                    });
+                } catch (error) {
+                    if (error.status) {
+                        throw new Error(`OpenAI-compatible server error (${error.status}): ${error.message}`);
+                    }
+                    throw error;
+                }
+                return content;
+            }
+
+            const response = await fetchWithTimeout(`${this.baseUrl()}/chat/completions`, request);
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`OpenAI-compatible server error (${response.status}): ${errorText}`);
+            }
+
+            const data = await response.json();
+            return data.choices?.[0]?.message?.content || '';
+        }
+    }
+};
+
+function getProvider() {
+    const name = config.get('provider');
+    const provider = PROVIDERS[name];
+
+    if (!provider) {
+        throw new Error(t('provider.unknown', { name, providers: Object.keys(PROVIDERS).join(', ') }));
+    }
+
+    return provider;
+}
+
+// ============================================
+// MODEL MANAGEMENT
+// ============================================
+
+async function getAvailableModels() {
+    return getProvider().listModels();
+}
+
+async function listModels() {
+    const spinner = ora(t('models.loading')).start();
+
+    try {
+        const provider = getProvider();
+        const models = await getAvailableModels();
+        spinner.stop();
+
+        if (models.length === 0) {
+            console.log(chalk.yellow(`\n⚠️  ${t('models.none', { provider: provider.label })}`));
+            if (config.get('provider') === 'ollama') {
+                console.log(chalk.white(`   ${t('models.pullHint')}\n`));
+            } else {
+                console.log(chalk.white(`   ${t('models.loadHint')}\n`));
+            }
+            return;
+        }
+
+        console.log(chalk.cyan(`\n📦 ${t('models.title', { provider: provider.label })}\n`));
+        models.forEach((model, index) => {
+            const name = model.name;
+            const size = model.size ? formatSize(model.size) : 'N/A';
+            const current = name === config.get('ollamaModel') ? chalk.green(` ${t('models.current')}`) : '';
+            console.log(chalk.white(`   ${index + 1}. ${chalk.yellow(name)} ${chalk.gray(`(${size})`)}${current}`));
+        });
+        console.log();
+
+    } catch (error) {
+        spinner.fail(t('models.connectionError'));
+        console.log(chalk.red(`\n❌ ${error.message}`));
+        console.log(chalk.white(`   ${t('models.serverHint')}\n`));
+    }
+}
+
+async function setModel(modelName) {
+    const spinner = ora(t('models.verifying')).start();
+
+    try {
+        const models = await getAvailableModels();
+        const modelNames = models.map(m => m.name);
+
+        const exactMatch = modelNames.find(name => name === modelName);
+        const partialMatch = modelNames.find(name =>
+            name.startsWith(modelName + ':') || name.split(':')[0] === modelName
+        );
+
+        if (exactMatch) {
+            config.set('ollamaModel', exactMatch);
+            spinner.succeed(t('models.set', { model: chalk.yellow(exactMatch) }));
+        } else if (partialMatch) {
+            config.set('ollamaModel', partialMatch);
+            spinner.succeed(t('models.set', { model: chalk.yellow(partialMatch) }));
+        } else {
+            spinner.fail(t('models.notFound'));
+            console.log(chalk.red(`\n❌ ${t('models.notAvailable', { model: modelName })}\n`));
+            console.log(chalk.cyan(`📦 ${t('models.available')}`));
+            modelNames.forEach(name => {
+                console.log(chalk.white(`   • ${chalk.yellow(name)}`));
+            });
+            console.log();
+            process.exit(1);
+        }
+
+    } catch (error) {
+        spinner.fail(t('models.verifyError'));
+        console.log(chalk.red(`\n❌ ${error.message}`));
+        process.exit(1);
+    }
+}
+
+async function changeModelInteractive() {
+    const spinner = ora(t('models.loadingAvailable')).start();
+
+    try {
+        const models = await getAvailableModels();
+        spinner.stop();
+
+        if (models.length === 0) {
+            console.log(chalk.yellow(`\n⚠️  ${t('models.none', { provider: getProvider().label })}\n`));
+            return;
+        }
+
+        const currentModel = config.get('ollamaModel');
+        const choices = models.map(model => {
+            const name = model.name;
+            const size = model.size ? formatSize(model.size) : '';
+            const isCurrent = name === currentModel;
+            return {
+                name: `${name} ${chalk.gray(size)}${isCurrent ? chalk.green(` ${t('models.current')}`) : ''}`,
+                value: name,
+                short: name
+            };
+        });
+
+        const { selectedModel } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'selectedModel',
+                message: t('models.select'),
+                choices,
+                default: currentModel
+            }
+        ]);
+
+        config.set('ollamaModel', selectedModel);
+        console.log(chalk.green(`\n✅ ${t('models.changed', { model: chalk.yellow(selectedModel) })}`));
+        return selectedModel;
+
+    } catch (error) {
+        spinner.fail(t('models.loadError'));
+        console.log(chalk.red(`\n❌ ${error.message}`));
+        console.log(chalk.white(`   ${t('models.serverHint')}\n`));
+    }
+}
+
+// ============================================
+// FORGE INTEGRATION (GitHub / GitLab / Gitea)
+// ============================================
+
+/**
+ * Parse a git remote URL (https, ssh:// or scp-like git@host:path) into
+ * host, owner and repo. GitLab subgroups end up in `owner` (group/sub).
+ */
+function parseRemoteUrl(remoteUrl) {
+    if (!remoteUrl) {
+        return null;
+    }
+
+    let protocol = 'https:';
+    let host;
+    let repoPath;
+
+    const scpMatch = remoteUrl.match(/^(?:[\w.-]+@)?([^:/]+):(?!\/\/)(.+)$/);
+    if (scpMatch) {
+        host = scpMatch[1];
+        repoPath = scpMatch[2];
+    } else {
+        try {
+            const url = new URL(remoteUrl);
+            // Keep http and a custom port for web remotes (self-hosted instances);
+            // ssh ports say nothing about where the API lives
+            if (url.protocol === 'http:' || url.protocol === 'https:') {
+                protocol = url.protocol;
+                host = url.host;
+            } else {
+                host = url.hostname;
+            }
+            repoPath = url.pathname;
+        } catch {
+            return null;
+        }
+    }
+
+    const parts = repoPath.replace(/^\/+|\/+$/g, '').replace(/\.git$/, '').split('/');
+    if (parts.length < 2) {
+        return null;
+    }
+
+    return {
+        protocol,
+        host,
+        owner: parts.slice(0, -1).join('/'),
+        repo: parts[parts.length - 1]
+    };
+}
+
+async function forgeRequest(forge, url, { method = 'GET', headers = {}, body } = {}) {
+    const response = await fetchWithTimeout(url, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            'Accept': 'application/json',
+            'User-Agent': 'mkpr-cli',
+            ...headers
+        },
+        body: body ? JSON.stringify(body) : undefined
+    }, 30000);
+
+    const text = await response.text();
+    let data;
+    try {
+        data = text ? JSON.parse(text) : null;
+    } catch {
+        data = text;
+    }
+
+    if (!response.ok) {
+        const details = (data && (data.message || data.error)) || text;
+        const errors = data && Array.isArray(data.errors)
+            ? ` (${data.errors.map(e => e.message || e.code || JSON.stringify(e)).join('; ')})`
+            : '';
+        throw new Error(`${forge.label} API error (${response.status}): ${typeof details === 'string' ? details : JSON.stringify(details)}${errors}`);
+    }
+
+    return data;
+}
+
+/**
+ * Each forge exposes:
+ *   - defaultApiUrl(remote): base URL of its REST API
+ *   - createPullRequest(target, { head, base, title, body }): Promise<{ url, number }>
+ *   - findOpenPullRequest(target, head): Promise<{ number, url, title, body, base } | null>
+ *   - updatePullRequest(target, number, { title, body }): Promise<void>
+ *   - listMergedPullRequests(target, limit): Promise<Array<{ number, url, title, body }>>, latest first
+ * where `target` is the detected remote plus `apiUrl` and `token`.
+ */
+const FORGES = {
+    'github': {
+        label: 'GitHub',
+        tokenEnv: ['GITHUB_TOKEN', 'GH_TOKEN'],
+        requestName: 'pull request',
+
+        defaultApiUrl(remote) {
+            return remote.host === 'github.com'
+                ? 'https://api.github.com'
+                : `${remote.protocol}//${remote.host}/api/v3`;
+        },
+
+        headers(token) {
+            return {
+                'Authorization': `Bearer ${token}`,
+                'Accept': 'application/vnd.github+json'
+            };
+        },
+
+        async createPullRequest(target, { head, base, title, body }) {
+            const data = await forgeRequest(this, `${target.apiUrl}/repos/${target.owner}/${target.repo}/pulls`, {
+                method: 'POST',
+                headers: this.headers(target.token),
+                body: { title, head, base, body }
+            });
+            return { url: data.html_url, number: data.number };
+        },
+
+        async findOpenPullRequest(target, head) {
+            const query = `state=open&head=${encodeURIComponent(`${target.owner.split('/')[0]}:${head}`)}`;
+            const data = await forgeRequest(this, `${target.apiUrl}/repos/${target.owner}/${target.repo}/pulls?${query}`, {
+                headers: this.headers(target.token)
+            });
+            const pr = data[0];
+            return pr ? { number: pr.number, url: pr.html_url, title: pr.title, body: pr.body || '', base: pr.base.ref } : null;
+        },
+
+        async updatePullRequest(target, number, { title, body }) {
+            await forgeRequest(this, `${target.apiUrl}/repos/${target.owner}/${target.repo}/pulls/${number}`, {
+                method: 'PATCH',
+                headers: this.headers(target.token),
+                body: { title, body }
+            });
+        },
+
+        async listMergedPullRequests(target, limit) {
+            // Closed includes unmerged PRs, so ask for more and filter
+            const data = await forgeRequest(this, `${target.apiUrl}/repos/${target.owner}/${target.repo}/pulls?state=closed&sort=updated&direction=desc&per_page=100`, {
+                headers: this.headers(target.token)
+            });
+            return data
+                .filter(pr => pr.merged_at)
+                .slice(0, limit)
+                .map(pr => ({ number: pr.number, url: pr.html_url, title: pr.title, body: pr.body || '' }));
+        }
+    },
+
+    'gitlab': {
+        label: 'GitLab',
+        tokenEnv: ['GITLAB_TOKEN'],
+        requestName: 'merge request',
+
+        defaultApiUrl(remote) {
+            return `${remote.protocol}//${remote.host}/api/v4`;
+        },
+
+        headers(token) {
+            return { 'PRIVATE-TOKEN': token };
+        },
+
+        projectUrl(target) {
+            return `${target.apiUrl}/projects/${encodeURIComponent(`${target.owner}/${target.repo}`)}`;
+        },
+
+        async createPullRequest(target, { head, base, title, body }) {
+            const data = await forgeRequest(this, `${this.projectUrl(target)}/merge_requests`, {
+                method: 'POST',
+                headers: this.headers(target.token),
+                body: { source_branch: head, target_branch: base, title, description: body }
+            });
+            return { url: data.web_url, number: data.iid };
+        },
+
+        async findOpenPullRequest(target, head) {
+            const data = await forgeRequest(this, `${this.projectUrl(target)}/merge_requests?state=opened&source_branch=${encodeURIComponent(head)}`, {
+                headers: this.headers(target.token)
+            });
+            const mr = data[0];
+            return mr ? { number: mr.iid, url: mr.web_url, title: mr.title, body: mr.description || '', base: mr.target_branch } : null;
+        },
+
+        async updatePullRequest(target, number, { title, body }) {
+            await forgeRequest(this, `${this.projectUrl(target)}/merge_requests/${number}`, {
+                method: 'PUT',
+                headers: this.headers(target.token),
+                body: { title, description: body }
+            });
+        },
+
+        async listMergedPullRequests(target, limit) {
+            const data = await forgeRequest(this, `${this.projectUrl(target)}/merge_requests?state=merged&order_by=updated_at&sort=desc&per_page=${limit}`, {
+                headers: this.headers(target.token)
+            });
+            return data.map(mr => ({ number: mr.iid, url: mr.web_url, title: mr.title, body: mr.description || '' }));
+        }
+    },
+
+    'gitea': {
+        label: 'Gitea',
+        tokenEnv: ['GITEA_TOKEN'],
+        requestName: 'pull request',
+
+        defaultApiUrl(remote) {
+            return `${remote.protocol}//${remote.host}/api/v1`;
+        },
+
+        headers(token) {
+            return { 'Authorization': `token ${token}` };
+        },
+
+        async createPullRequest(target, { head, base, title, body }) {
+            const data = await forgeRequest(this, `${target.apiUrl}/repos/${target.owner}/${target.repo}/pulls`, {
+                method: 'POST',
+                headers: this.headers(target.token),
+                body: { title, head, base, body }
+            });
+            return { url: data.html_url, number: data.number };
+        },
+
+        async findOpenPullRequest(target, head) {
+            // The list endpoint can't filter by head branch, so filter locally
+            const data = await forgeRequest(this, `${target.apiUrl}/repos/${target.owner}/${target.repo}/pulls?state=open&limit=50`, {
+                headers: this.headers(target.token)
+            });
+            const pr = data.find(p => p.head && p.head.ref === head);
+            return pr ? { number: pr.number, url: pr.html_url, title: pr.title, body: pr.body || '', base: pr.base.ref } : null;
+        },
+
+        async updatePullRequest(target, number, { title, body }) {
+            await forgeRequest(this, `${target.apiUrl}/repos/${target.owner}/${target.repo}/pulls/${number}`, {
+                method: 'PATCH',
+                headers: this.headers(target.token),
+                body: { title, body }
+            });
+        },
+
+        async listMergedPullRequests(target, limit) {
+            const data = await forgeRequest(this, `${target.apiUrl}/repos/${target.owner}/${target.repo}/pulls?state=closed&sort=recentupdate&limit=50`, {
+                headers: this.headers(target.token)
+            });
+            return data
+                .filter(pr => pr.merged)
+                .slice(0, limit)
+                .map(pr => ({ number: pr.number, url: pr.html_url, title: pr.title, body: pr.body || '' }));
+        }
+    }
+};
+
+function guessForge(host) {
+    if (host === 'github.com' || /(^|\.)github\./.test(host)) return 'github';
+    if (host === 'gitlab.com' || /gitlab/.test(host)) return 'gitlab';
+    if (host === 'codeberg.org' || /gitea|forgejo/.test(host)) return 'gitea';
+    return null;
+}
+
+/**
+ * Work out which forge hosts `origin`. MKPR_FORGE (github, gitlab, gitea)
+ * overrides the host-based guess for self-hosted instances, and
+ * MKPR_FORGE_API_URL overrides the API base URL (proxies, local mocks).
+ */
+function detectForge() {
+    const remote = parseRemoteUrl(getRemoteUrl('origin'));
+    if (!remote) {
+        return null;
+    }
+
+    const name = process.env.MKPR_FORGE || guessForge(remote.host);
+    const forge = FORGES[name];
+    if (!forge) {
+        return null;
+    }
+
+    return {
+        ...remote,
+        name,
+        forge,
+        apiUrl: (process.env.MKPR_FORGE_API_URL || forge.defaultApiUrl(remote)).replace(/\/+$/, '')
+    };
+}
+
+function getForgeTarget() {
+    const detected = detectForge();
+    if (!detected) {
+        throw new Error(t('forge.undetected'));
+    }
+
+    const tokenVar = detected.forge.tokenEnv.find(name => process.env[name]);
+    if (!tokenVar) {
+        throw new Error(t('forge.missingToken', { label: detected.forge.label, vars: detected.forge.tokenEnv.join(` ${t('common.or')} `) }));
+    }
+
+    return { ...detected, token: process.env[tokenVar] };
+}
+
+/**
+ * Markdown body for the forge: the rendered description without its `# title`
+ */
+function buildForgeBody(prData, context) {
+    return renderMarkdown(prData, context).replace(/^# .*\n+/, '');
+}
+
+/**
+ * Push the branch if needed and open the PR/MR. `body` overrides the rendered
+ * description, e.g. after a manual edit.
+ */
+async function createPullRequest(prData, context, baseBranch, body = buildForgeBody(prData, context)) {
+    const target = getForgeTarget();
+    const pushed = pushBranchIfNeeded(context.currentBranch);
+
+    const result = await target.forge.createPullRequest(target, {
+        head: context.currentBranch,
+        base: baseBranch,
+        title: prData.title,
+        body
+    });
+
+    return { ...result, pushed, forge: target.forge };
+}
+
+// Human-written parts of a PR body that survive `--update`, e.g.
+// <!-- mkpr:keep -->...<!-- /mkpr:keep --> or <!-- mkpr:keep demo -->...<!-- /mkpr:keep demo -->.
+// A named block only closes on its own name (an unset \1 matches nothing)
+const KEEP_BLOCK_REGEX = /<!--\s*mkpr:keep(?:\s+([\w-]+))?\s*-->[\s\S]*?<!--\s*\/mkpr:keep\b\s*\1\s*-->/g;
+
+/**
+ * Carry the keep blocks of the old body over to the new one. A block whose
+ * name also appears in the new body (e.g. from a template) replaces it there;
+ * the rest are appended at the end.
+ */
+function preserveKeepBlocks(oldBody, newBody) {
+    // Unnamed blocks are matched by their position among the unnamed ones
+    const unnamedKey = () => {
+        let index = 0;
+        return (name) => name || `#${index++}`;
+    };
+
+    const oldKey = unnamedKey();
+    const blocks = [...oldBody.matchAll(KEEP_BLOCK_REGEX)].map(match => ({
+        name: oldKey(match[1]),
+        text: match[0]
+    }));
+
+    const used = new Set();
+    const newKey = unnamedKey();
+    let result = newBody.replace(KEEP_BLOCK_REGEX, (placeholder, name) => {
+        const key = newKey(name);
+        const block = blocks.find(b => b.name === key);
+        if (!block) {
+            return placeholder;
+        }
+        used.add(block);
+        return block.text;
+    });
+
+    const remaining = blocks.filter(b => !used.has(b));
+    if (remaining.length > 0) {
+        result = `${result.trimEnd()}\n\n${remaining.map(b => b.text).join('\n\n')}\n`;
+    }
+
+    return result;
+}
+
+/**
+ * Line diff (LCS based) as a list of { type: ' ' | '+' | '-', line }
+ */
+function diffLines(oldText, newText) {
+    const a = oldText.replace(/\r\n/g, '\n').split('\n');
+    const b = newText.replace(/\r\n/g, '\n').split('\n');
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const result = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            result.push({ type: ' ', line: a[i++] });
+            j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            result.push({ type: '-', line: a[i++] });
+        } else {
+            result.push({ type: '+', line: b[j++] });
+        }
+    }
+    while (i < a.length) result.push({ type: '-', line: a[i++] });
+    while (j < b.length) result.push({ type: '+', line: b[j++] });
+
+    return result;
+}
+
+/**
+ * Print a colored diff, showing unchanged lines only around changes
+ */
+function printLineDiff(oldText, newText, log = console.log, contextLines = 2) {
+    const lines = diffLines(oldText, newText);
+    const visible = lines.map((entry, index) =>
+        entry.type !== ' ' || lines
+            .slice(Math.max(0, index - contextLines), index + contextLines + 1)
+            .some(other => other.type !== ' ')
+    );
+
+    if (!lines.some(entry => entry.type !== ' ')) {
+        log(chalk.gray(`   ${t('diff.noChanges')}`));
+        return;
+    }
+
+    let skipped = false;
+    lines.forEach((entry, index) => {
+        if (!visible[index]) {
+            if (!skipped) log(chalk.gray('   ...'));
+            skipped = true;
+            return;
+        }
+        skipped = false;
+        if (entry.type === '+') log(chalk.green(`+ ${entry.line}`));
+        else if (entry.type === '-') log(chalk.red(`- ${entry.line}`));
+        else log(chalk.gray(`  ${entry.line}`));
+    });
+}
+
+/**
+ * Show what `--update` would change and apply it after confirmation.
+ * Returns 'updated', 'regenerate' or 'cancel'.
+ */
+async function reviewPullRequestUpdate({ target, existing, prData, context, nonInteractive, dryRun, log }) {
+    const newBody = preserveKeepBlocks(existing.body, buildForgeBody(prData, context));
+    const { label, requestName } = target.forge;
+
+    log(chalk.cyan(`\n📝 ${t('update.changes', { label, requestName, number: existing.number })}\n`));
+    if (existing.title !== prData.title) {
+        log(chalk.white(t('update.title')));
+        log(chalk.red(`- ${existing.title}`));
+        log(chalk.green(`+ ${prData.title}`));
+        log();
+    }
+    log(chalk.gray('─'.repeat(60)));
+    printLineDiff(existing.body, newBody, log);
+    log(chalk.gray('─'.repeat(60)));
+    log();
+
+    if (!nonInteractive) {
+        const { action } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'action',
+                message: t('update.prompt', { requestName, number: existing.number }),
+                choices: [
+                    { name: chalk.green(`✅ ${t(dryRun ? 'update.updateDryRun' : 'update.update')}`), value: 'update' },
+                    { name: chalk.yellow(`🔄 ${t('menu.regenerate')}`), value: 'regenerate' },
+                    { name: chalk.red(`❌ ${t('menu.cancel')}`), value: 'cancel' }
+                ]
+            }
+        ]);
+        if (action !== 'update') {
+            return action;
+        }
+    }
+
+    if (dryRun) {
+        log(chalk.yellow(`🏃 ${t('update.dryRun', { requestName })}\n`));
+        return 'updated';
+    }
+
+    const spinner = ora({ text: t('update.updating', { requestName }), isEnabled: nonInteractive ? false : undefined }).start();
+    try {
+        await target.forge.updatePullRequest(target, existing.number, { title: prData.title, body: newBody });
+    } catch (error) {
+        spinner.fail(t('update.failed', { requestName }));
+        throw error;
+    }
+    spinner.succeed(t('update.updated', { label, requestName, number: existing.number, url: chalk.green(existing.url) }));
+    log();
+    return 'updated';
+}
+
+// ============================================
+// GENERATION HISTORY AND CACHE
+// ============================================
+
+// Every generated description is recorded per repository and branch under
+// the Conf directory. An entry whose key matches the current input is reused
+// instead of calling the model again.
+
+/**
+ * Hash of everything that determines the generated description: the changes,
+ * the prompts, the model and its options, and any refinement turns
+ */
+function getGenerationKey(context, { summarize = false, followUps = [] } = {}) {
+    const model = config.get('ollamaModel');
+
+    return createHash('sha256').update(JSON.stringify({
+        version: PROMPT_VERSION,
+        provider: config.get('provider'),
+        model,
+        options: PR_GENERATION_OPTIONS,
+        summarize,
+        budget: getContextBudget(model),
+        systemPrompt: buildSystemPrompt(),
+        currentBranch: context.currentBranch,
+        baseBranch: context.baseBranch,
+        scope: context.scope || null,
+        commits: context.commits,
+        files: context.changedFiles.map(f => `${f.status} ${f.file}`),
+        stats: context.stats,
+        diff: context.diff,
+        followUps
+    })).digest('hex');
+}
+
+function getHistoryFile(name) {
+    const gitRoot = getGitRoot();
+    const repoId = `${sanitizeBranchName(path.basename(gitRoot))}-${createHash('sha1').update(gitRoot).digest('hex').slice(0, 8)}`;
+    return path.join(path.dirname(globalConfig.path), 'history', repoId, `${sanitizeBranchName(name)}.json`);
+}
+
+/**
+ * Generations recorded for a branch (or range), oldest first
+ */
+function loadHistory(name) {
+    const filePath = getHistoryFile(name);
+    if (!fs.existsSync(filePath)) {
+        return [];
+    }
+
+    try {
+        const entries = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+        return Array.isArray(entries) ? entries : [];
+    } catch (error) {
+        debugLog(`Ignoring unreadable history ${filePath}: ${error.message}`);
+        return [];
+    }
+}
+
+/**
+ * Record a generation, keeping the last HISTORY_LIMIT entries. The context is
+ * stored without the diff, just what rendering needs.
+ */
+function addToHistory(name, { key, prData, context, mode, refinements = 0 }) {
+    const entry = {
+        id: randomUUID().slice(0, 8),
+        createdAt: new Date().toISOString(),
+        key,
+        provider: config.get('provider'),
+        model: config.get('ollamaModel'),
+        mode,
+        refinements,
+        prData,
+        context: {
+            currentBranch: context.currentBranch,
+            baseBranch: context.baseBranch,
+            commits: context.commits,
+            changedFiles: context.changedFiles,
+            stats: context.stats,
+            scope: context.scope || null
+        }
+    };
+
+    const filePath = getHistoryFile(name);
+    const entries = [...loadHistory(name), entry].slice(-HISTORY_LIMIT);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(entries, null, 2), 'utf-8');
+    return entry;
+}
+
+function findCachedGeneration(name, key) {
+    return loadHistory(name).reverse().find(entry => entry.key === key) || null;
+}
+
+function clearHistory(name) {
+    const filePath = getHistoryFile(name);
+    if (!fs.existsSync(filePath)) {
+        return false;
+    }
+    fs.unlinkSync(filePath);
+    return true;
+}
+
+// ============================================
+// CONFIGURATION DISPLAY
+// ============================================
+
+function showConfig() {
+    const repoConfig = loadRepoConfig();
+    const sourceTag = (key) => {
+        const { source } = config.resolve(key);
+        return source === 'default' ? '' : chalk.gray(` (${source})`);
+    };
+    // Rows are collected first so labels line up in every interface language
+    const rows = [];
+    const line = (label, text) => rows.push([label, text]);
+    const row = (label, value, key) => line(label, `${chalk.yellow(value)}${key ? sourceTag(key) : ''}`);
+    const onOff = (key) => t(config.get(key) ? 'common.enabled' : 'common.disabled');
+
+    row(t('config.provider'), config.get('provider'), 'provider');
+    if (config.get('provider') === 'ollama') {
+        row(t('config.ollamaUrl'), getOllamaBaseUrl(), config.get('ollamaUrl') ? 'ollamaUrl' : 'ollamaPort');
+        if (config.get('ollamaAuthHeader')) {
+            const headerName = Object.keys(getOllamaAuthHeaders())[0];
+            line(t('config.authHeader'), `${chalk.yellow(headerName)} ${chalk.gray(t('config.valueHidden'))}`);
+        }
+    } else {
+        row(t('config.apiUrl'), config.get('openaiUrl'), 'openaiUrl');
+    }
+    row(t('config.model'), config.get('ollamaModel'), 'ollamaModel');
+    row(t('config.baseBranch'), config.get('baseBranch'), 'baseBranch');
+    row(t('config.outputDir'), config.get('outputDir'), 'outputDir');
+    row(t('config.template'), config.get('template'), 'template');
+    row(t('config.language'), `${config.get('language')} (${getLanguageName(config.get('language'))})`, 'language');
+    const locale = config.get('locale');
+    row(t('config.locale'), locale === 'auto' ? t('config.localeAuto', { locale: detectLocale() }) : locale, 'locale');
+    // Budgets are per model, so the source is the layer that has this model's entry
+    const model = config.get('ollamaModel');
+    const budgetSource = repoConfig?.values.contextBudgets?.[model] ? `repo: ${repoConfig.file}`
+        : globalConfig.get('contextBudgets')[model] ? 'global' : null;
+    line(t('config.contextBudget'), `${chalk.yellow(t('config.chars', { count: getContextBudget(model) }))}${budgetSource ? chalk.gray(` (${budgetSource})`) : ''}`);
+    row(t('config.summarize'), onOff('summarize'), 'summarize');
+    row(t('config.stream'), onOff('stream'), 'stream');
+    row(t('config.debug'), onOff('debug'), 'debug');
+    line(t('config.excludedFiles'), `${chalk.gray(t('config.fileCount', { count: config.get('excludeFiles').length }))}${sourceTag('excludeFiles')}`);
+
+    console.log(chalk.cyan(`\n📋 ${t('config.title')}\n`));
+    const width = Math.max(...rows.map(([label]) => label.length)) + 1;
+    rows.forEach(([label, text]) => console.log(chalk.white(`   ${label.padEnd(width)}${text}`)));
+
+    const files = [[t('config.globalFile'), globalConfig.path]];
+    if (repoConfig) {
+        files.push([t('config.repoFile'), repoConfig.path]);
+    }
+    const fileWidth = Math.max(...files.map(([label]) => label.length)) + 1;
+    console.log();
+    files.forEach(([label, filePath]) => console.log(chalk.gray(`   ${label.padEnd(fileWidth)}${filePath}`)));
+    console.log();
+}
+
+// ============================================
+// MAIN FLOW
+// ============================================
+
+/**
+ * Attach the open PR of every stack branch, when the forge can be queried:
+ * [{ branch, current, pr: { number, url } | null }]
+ */
+async function linkStackPullRequests(stack, currentBranch, currentPR) {
+    let target = null;
+    try {
+        target = getForgeTarget();
+    } catch (error) {
+        debugLog('Stack PRs not linked:', error.message);
+    }
+
+    return Promise.all(stack.map(async ({ branch }) => {
+        const current = branch === currentBranch;
+        let pr = current && currentPR ? currentPR : null;
+        if (!pr && target) {
+            pr = await target.forge.findOpenPullRequest(target, branch).catch(() => null);
+        }
+        return { branch, current, pr: pr ? { number: pr.number, url: pr.url } : null };
+    }));
+}
+
+/**
+ * Resolve `baseBranch: auto`: pick the candidate with the nearest merge-base,
+ * and let the user confirm or override it unless running non-interactively
+ */
+async function chooseBaseBranch({ nonInteractive, log }) {
+    const candidates = await detectBaseBranches();
+    if (candidates.length === 0) {
+        throw new Error(t('base.notDetected', { candidates: BASE_BRANCH_CANDIDATES.join(', ') }));
+    }
+
+    const describe = (c) => `${t('base.distance', { count: c.distance })}${c.isDefault ? `, ${t('base.originDefault')}` : ''}`;
+    const [nearest] = candidates;
+    log(chalk.white(`🧭 ${t('base.detected')} ${chalk.yellow(nearest.branch)} ${chalk.gray(`(${describe(nearest)})`)}`));
+
+    if (nonInteractive) {
+        log();
+        return nearest.branch;
+    }
+
+    const { chosen } = await inquirer.prompt([
+        {
+            type: 'list',
+            name: 'chosen',
+            message: t('base.prompt'),
+            default: nearest.branch,
+            choices: [
+                ...candidates.map(c => ({ name: `${c.branch} ${chalk.gray(`(${describe(c)})`)}`, value: c.branch })),
+                new inquirer.Separator(),
+                { name: t('base.other'), value: null }
+            ]
+        }
+    ]);
+    if (chosen) {
+        log();
+        return chosen;
+    }
+
+    const { typed } = await inquirer.prompt([
+        {
+            type: 'input',
+            name: 'typed',
+            message: t('base.promptName'),
+            validate: (input) => {
+                if (!isValidBranchName(input)) {
+                    return t('base.invalid');
+                }
+                return revisionExists(`origin/${input}`) || revisionExists(input) ? true : t('base.notFound', { branch: input });
+            }
+        }
+    ]);
+    log();
+    return typed;
+}
+
+/**
+ * One list item per line; "- " / "* " bullets and blank lines are dropped
+ */
+function parseEditedList(text) {
+    return text
+        .split('\n')
+        .map(line => line.replace(/^\s*[-*]\s+/, '').trim())
+        .filter(Boolean);
+}
+
+/**
+ * Post-generation editor: either change one structured field and re-render,
+ * or edit the full rendered text in $EDITOR. Returns the new state, or null
+ * when nothing changed.
+ */
+async function editPRDescription(prData, description, format) {
+    const count = (list) => chalk.gray(`(${(list || []).length})`);
+    const { field } = await inquirer.prompt([
+        {
+            type: 'list',
+            name: 'field',
+            message: t('edit.prompt'),
+            choices: [
+                { name: `📝 ${t('edit.full')} ${chalk.gray(t('edit.opensEditor'))}`, value: 'full' },
+                new inquirer.Separator(),
+                { name: `${t('edit.title')} ${chalk.gray(`(${prData.title})`)}`, value: 'title' },
+                { name: `${t('edit.type')} ${chalk.gray(`(${prData.type})`)}`, value: 'type' },
+                { name: t('edit.summary'), value: 'summary' },
+                { name: `${t('edit.changes')} ${count(prData.changes)}`, value: 'changes' },
+                { name: `${t('edit.breakingChanges')} ${count(prData.breaking_changes)}`, value: 'breaking_changes' },
+                { name: t('edit.testing'), value: 'testing' },
+                { name: t('edit.notes'), value: 'notes' },
+                new inquirer.Separator(),
+                { name: `↩️  ${t('edit.back')}`, value: 'back' }
+            ]
+        }
+    ]);
+
+    switch (field) {
+        case 'back':
+            return null;
+
+        case 'full': {
+            const { text } = await inquirer.prompt([
+                {
+                    type: 'editor',
+                    name: 'text',
+                    message: t('edit.fullPrompt'),
+                    default: description,
+                    postfix: format === 'json' ? '.json' : '.md',
+                    validate: (input) => {
+                        if (format !== 'json') {
+                            return input.trim() ? true : t('edit.emptyDescription');
+                        }
+                        try {
+                            const parsed = JSON.parse(input);
+                            return parsed && typeof parsed.pr === 'object' ? true : t('edit.missingPr');
+                        } catch (error) {
+                            return t('edit.invalidJson', { message: error.message });
+                        }
+                    }
+                }
+            ]);
+
+            // JSON output is always re-rendered, so edits go back into the fields
+            if (format === 'json') {
+                try {
+                    return { prData: parsePRResponse(JSON.stringify(JSON.parse(text).pr), { strict: true }), editedDescription: null };
+                } catch (error) {
+                    console.log(chalk.yellow(`\n⚠️  ${t('edit.discarded', { message: error.message })}\n`));
+                    return null;
+                }
+            }
+
+            // Keep the title in sync for --create
+            const heading = text.match(/^# (.+)$/m);
+            const title = heading ? heading[1].trim() : prData.title;
+            return { prData: { ...prData, title }, editedDescription: text.trimEnd() + '\n' };
+        }
+
+        case 'title': {
+            const { title } = await inquirer.prompt([
+                {
+                    type: 'input',
+                    name: 'title',
+                    message: t('edit.titlePrompt'),
+                    default: prData.title,
+                    validate: (input) => input.trim() ? true : t('edit.emptyTitle')
+                }
+            ]);
+            return { prData: { ...prData, title: title.trim() }, editedDescription: null };
+        }
+
+        case 'type': {
+            const { type } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'type',
+                    message: t('edit.typePrompt'),
+                    default: prData.type,
+                    choices: PR_TYPES.map(type => ({ name: `${TYPE_EMOJI[type] || ''} ${type}`.trim(), value: type }))
+                }
+            ]);
+            return { prData: { ...prData, type }, editedDescription: null };
+        }
+
+        case 'changes':
+        case 'breaking_changes': {
+            const { text } = await inquirer.prompt([
+                {
+                    type: 'editor',
+                    name: 'text',
+                    message: t(field === 'changes' ? 'edit.changesPrompt' : 'edit.breakingChangesPrompt'),
+                    default: (prData[field] || []).map(item => `- ${item}`).join('\n') + '\n',
+                    postfix: '.md'
+                }
+            ]);
+            return { prData: { ...prData, [field]: parseEditedList(text) }, editedDescription: null };
+        }
+
+        default: {
+            // summary, testing and notes are free text
+            const { text } = await inquirer.prompt([
+                {
+                    type: 'editor',
+                    name: 'text',
+                    message: t(`edit.${field}Prompt`),
+                    default: prData[field] || '',
+                    postfix: '.md',
+                    validate: (input) => field !== 'summary' || input.trim() ? true : t('edit.emptySummary')
+                }
+            ]);
+            return { prData: { ...prData, [field]: text.trim() }, editedDescription: null };
+        }
+    }
+}
+
+/**
+ * In non-interactive mode (`--yes`) the first generation is accepted, status
+ * output goes to stderr so stdout stays clean for `--stdout`, and failures
+ * exit with one of EXIT_CODES instead of prompting.
+ */
+async function generatePRDescription({ baseBranch, outputDir, dryRun, stream, summarize, nonInteractive, toStdout, format = 'markdown', template: templateName, create, update, staged, workingTree, range, head, stack: detectStack = true, skipFetch = false, timings: showTimings, cache: useCache = true, showPrompt = false }) {
+    // With --show-prompt stdout carries only the assembled prompt
+    const log = nonInteractive || showPrompt ? console.error : console.log;
+    const createSpinner = (text) => ora({ text, spinner: 'dots', isEnabled: nonInteractive || showPrompt ? false : undefined });
+    const timings = createTimings(showTimings);
+
+    // Scripted runs (--yes, each branch of --stack) get an error they can
+    // catch and carry on from; an interactive run just exits
+    const exit = (exitCode) => {
+        if (nonInteractive) {
+            throw exitError(exitCode);
+        }
+        process.exit(exitCode);
+    };
+
+    // Push the branch and open the PR/MR; returns false on failure
+    const openPullRequest = async (prData, body) => {
+        if (dryRun) {
+            log(chalk.yellow(`🏃 ${t('pr.dryRunNotCreated')}\n`));
+            return true;
+        }
+
+        const prSpinner = createSpinner(t('pr.creating')).start();
+        try {
+            const result = await createPullRequest(prData, context, baseBranch, body);
+            if (result.pushed) {
+                log(chalk.gray(`   ${t('pr.pushed', { branch: context.currentBranch })}`));
+            }
+            prSpinner.succeed(t('pr.created', { label: result.forge.label, requestName: result.forge.requestName, number: result.number, url: chalk.green(result.url) }));
+            log();
+            return true;
+        } catch (error) {
+            prSpinner.fail(t('pr.createError'));
+            log(chalk.red(`\n❌ ${error.message}\n`));
+            return false;
+        }
+    };
+
+    log(chalk.cyan(`\n🔍 ${t('pr.analyzing')}\n`));
+
+    // Fetch to ensure we have the latest version
+    if (!skipFetch) {
+        const fetchSpinner = createSpinner(t('pr.fetching')).start();
+        const fetchResult = await timings.measure('git fetch', () => fetchOrigin());
+
+        if (fetchResult.success) {
+            fetchSpinner.succeed(t('pr.fetched'));
+        } else {
+            if (fetchResult.reason === 'auth') {
+                fetchSpinner.fail(t('pr.fetchFailed', { message: fetchResult.message }));
+                log(chalk.yellow(`   ${t('pr.fetchOutdated')}\n`));
+            } else {
+                fetchSpinner.warn(t('pr.fetchWarning', { message: fetchResult.message }));
+            }
+        }
+    }
+
+    const headBranch = head || getCurrentBranch();
+
+    // --update: find the PR first so we fail fast and diff against its base
+    let updateTarget = null;
+    let existingPR = null;
+    if (update) {
+        const lookupSpinner = createSpinner(t('pr.lookingUp')).start();
+        try {
+            updateTarget = getForgeTarget();
+            existingPR = await updateTarget.forge.findOpenPullRequest(updateTarget, headBranch);
+        } catch (error) {
+            lookupSpinner.fail(t('pr.lookupError'));
+            log(chalk.red(`\n❌ ${error.message}\n`));
+            exit(EXIT_CODES.FORGE_ERROR);
+        }
+
+        const { label, requestName } = updateTarget.forge;
+        if (!existingPR) {
+            lookupSpinner.fail(t('pr.notFound', { label, requestName }));
+            log(chalk.white(`   ${t('pr.createHint')}\n`));
+            exit(EXIT_CODES.FORGE_ERROR);
+        }
+        lookupSpinner.succeed(t('pr.found', { label, requestName, number: existingPR.number, url: existingPR.url }));
+        log();
+    }
+
+    // --staged and --working-tree diff against HEAD, so the base only names the
+    // target: take the remote's default branch without measuring or asking
+    if (baseBranch === 'auto' && (staged || workingTree)) {
+        baseBranch = await getOriginDefaultBranch()
+            || BASE_BRANCH_CANDIDATES.find(name => revisionExists(`origin/${name}`) || revisionExists(name))
+            || BASE_BRANCH_CANDIDATES[0];
+    }
+
+    // With --update the PR's own base decides, so there is nothing to confirm
+    if (baseBranch === 'auto' && !range) {
+        baseBranch = await timings.measure('base detection', () => chooseBaseBranch({ nonInteractive: nonInteractive || update, log }));
+    }
+
+    // Stacked branch: describe only what it adds on top of its unmerged parent
+    let stack = [];
+    let stackParent = null;
+    if (detectStack && !staged && !workingTree && !range) {
+        stack = await timings.measure('stack detection', () => getStack(getRemoteBaseBranch(baseBranch), headBranch));
+        stackParent = stack.find(entry => entry.branch === headBranch)?.parent || null;
+        if (stackParent) {
+            log(chalk.white(`🥞 ${t('pr.stacked', { parent: chalk.yellow(stackParent), base: baseBranch })}`));
+            baseBranch = stackParent;
+        }
+    }
+
+    if (existingPR?.base && existingPR.base !== baseBranch) {
+        log(chalk.gray(`   ${t('pr.prBase', { base: existingPR.base })}`));
+        baseBranch = existingPR.base;
+        stackParent = existingPR.base === stackParent ? stackParent : null;
+    }
+
+    const source = resolveDiffSource({ baseBranch, staged, workingTree, range, head, stackParent });
+    const { diffData, commits, changedFiles, stats } = await timings.measure('git data (parallel)', () => collectGitData(source, timings));
+
+    if (!diffData) {
+        if (source.mode === 'branch') {
+            log(chalk.yellow(`⚠️  ${t('pr.noDiff')}`));
+            log(chalk.white(`   ${t('pr.upToDate', { base: baseBranch })}\n`));
+        } else {
+            log(chalk.yellow(`⚠️  ${t('pr.noDiffSource', { description: source.description })}\n`));
+        }
+        exit(nonInteractive ? EXIT_CODES.NO_DIFF : EXIT_CODES.SUCCESS);
+    }
+
+    // Filter excluded files for display
+    const includedFiles = changedFiles.filter(f => !f.excluded);
+    const excludedFiles = changedFiles.filter(f => f.excluded);
+
+    const labels = ['pr.currentBranch', 'pr.baseBranch', 'pr.comparing', 'pr.commits', 'pr.files'].map(key => t(key));
+    const width = Math.max(...labels.map(label => label.length)) + 1;
+    const field = (icon, index, value) => log(chalk.white(`${icon} ${labels[index].padEnd(width)}${value}`));
+    field('📌', 0, chalk.yellow(diffData.currentBranch));
+    field('📌', 1, chalk.yellow(diffData.baseBranch));
+    if (source.description) {
+        field('🔎', 2, chalk.yellow(source.description));
+    }
+    field('📝', 3, chalk.yellow(commits.length));
+    field('📁', 4, `${chalk.yellow(includedFiles.length)} ${excludedFiles.length > 0 ? chalk.gray(t('pr.excludedCount', { count: excludedFiles.length })) : ''}`);
+    log();
+
+    // Show changed files
+    log(chalk.white(`📁 ${t('pr.modifiedFiles')}`));
+    includedFiles.slice(0, 10).forEach(f => {
+        const statusColor = f.status === 'added' ? chalk.green :
+            f.status === 'deleted' ? chalk.red : chalk.yellow;
+        log(chalk.gray(`   ${statusColor(`[${f.statusCode}]`)} ${f.file}`));
+    });
+    if (includedFiles.length > 10) {
+        log(chalk.gray(`   ${t('pr.moreFiles', { count: includedFiles.length - 10 })}`));
+    }
+
+    // Show excluded files
+    if (excludedFiles.length > 0) {
+        log(chalk.gray(`\n🚫 ${t('pr.excluded', { count: excludedFiles.length })}`));
+        excludedFiles.slice(0, 5).forEach(f => {
+            log(chalk.gray(`   • ${f.file}`));
+        });
+        if (excludedFiles.length > 5) {
+            log(chalk.gray(`   ${t('pr.more', { count: excludedFiles.length - 5 })}`));
+        }
+    }
+    log();
+
+    const context = {
+        currentBranch: diffData.currentBranch,
+        baseBranch: diffData.baseBranch,
+        diff: diffData.diff,
+        commits,
+        changedFiles: includedFiles,
+        stats,
+        scope: source.description,
+        stack: stack.length > 1 ? await timings.measure('stack PR lookup', () => linkStackPullRequests(stack, headBranch, existingPR)) : null,
+        template: resolveTemplate(templateName, getGitRoot())
+    };
+
+    if (context.template) {
+        log(chalk.gray(`📄 ${t('pr.usingTemplate', { path: path.relative(process.cwd(), context.template.path) || context.template.path })}\n`));
+    } else if (templateName === 'repo') {
+        log(chalk.yellow(`⚠️  ${t('pr.noRepoTemplate')}\n`));
+    }
+
+    if (showPrompt) {
+        const budget = getContextBudget(config.get('ollamaModel'));
+        if (summarize && context.diff.length > budget) {
+            log(chalk.yellow(`⚠️  ${t('pr.promptSummarized')}\n`));
+        }
+        const { files } = loadPromptCustomization();
+        log(chalk.gray(`📝 ${t('pr.promptFiles', { files: files.length > 0 ? files.map(f => f.path).join(', ') : t('pr.promptFilesNone') })}\n`));
+        process.stdout.write(`=== SYSTEM ===\n${buildSystemPrompt()}\n\n=== USER ===\n${buildUserPrompt(context)}\n`);
+        return;
+    }
+
+    // A description generated earlier from the same input is reused as is
+    let prData = null;
+    if (useCache) {
+        const cached = findCachedGeneration(source.name, getGenerationKey(context, { summarize }));
+        if (cached) {
+            prData = cached.prData;
+            log(chalk.gray(`♻️  ${t('pr.cached', { date: new Date(cached.createdAt).toLocaleString(), model: cached.model })}\n`));
+            timings.report(log);
+        }
+    }
+
+    // Only needed when the model is called, so a cached description skips it
+    let summarized = false;
+    const summarizeIfNeeded = async () => {
+        const budget = getContextBudget(config.get('ollamaModel'));
+        if (summarized || !summarize || context.diff.length <= budget) {
+            return;
+        }
+        summarized = true;
+
+        const summarySpinner = createSpinner(t('pr.summarizing', { size: context.diff.length, budget })).start();
+        const controller = new AbortController();
+        const onSigint = () => controller.abort();
+        process.on('SIGINT', onSigint);
+
+        try {
+            const result = await timings.measure('summarization', () => summarizeDiff(context.diff, {
+                signal: controller.signal,
+                onProgress: (done, total, level) => {
+                    summarySpinner.text = t(level > 1 ? 'pr.summarizingPass' : 'pr.summarizingProgress', { done, total, level });
+                }
+            }));
+            context.diffSummary = result.summary;
+            summarySpinner.succeed(t('pr.summarized', { files: result.files, calls: result.calls }));
+        } catch (error) {
+            if (controller.signal.aborted) {
+                summarySpinner.warn(t('pr.summarizationCancelled'));
+                log(chalk.yellow(`\n👋 ${t('common.cancelled')}\n`));
+                exit(EXIT_CODES.CANCELLED);
+            }
+            summarySpinner.warn(t('pr.summarizeFailed', { message: error.message }));
+        } finally {
+            process.removeListener('SIGINT', onSigint);
+        }
+        log();
+    };
+
+    // Refinement turns, kept across regenerations and model changes
+    const followUps = [];
+
+    const generateDescription = async () => {
+        await summarizeIfNeeded();
+
+        const spinnerText = t(followUps.length > 0 ? 'pr.refining' : 'pr.generating', { model: chalk.yellow(config.get('ollamaModel')) });
+        const spinner = createSpinner(spinnerText).start();
+
+        // Ctrl+C cancels the request instead of killing the process mid-output
+        const controller = new AbortController();
+        const onSigint = () => controller.abort();
+        process.on('SIGINT', onSigint);
+
+        let onToken;
+        if (stream) {
+            let tokenCount = 0;
+            let preview = '';
+            onToken = (token) => {
+                tokenCount++;
+                preview = (preview + token).replace(/\s+/g, ' ').slice(-50);
+                spinner.text = `${spinnerText} ${chalk.gray(t('pr.tokens', { count: tokenCount }))} ${chalk.dim(preview)}`;
+            };
+        }
+
+        try {
+            const generated = await timings.measure('generation', () => generatePRData(context, {
+                onToken,
+                signal: controller.signal,
+                strict: nonInteractive,
+                followUps,
+                onRetry: (attempt) => {
+                    spinner.text = `${spinnerText} ${chalk.yellow(t('pr.retrying', { attempt, max: MAX_SCHEMA_RETRIES }))}`;
+                }
+            }));
+            spinner.succeed(t('pr.generated'));
+            timings.report(log);
+            try {
+                addToHistory(source.name, {
+                    key: getGenerationKey(context, { summarize, followUps }),
+                    prData: generated,
+                    context,
+                    mode: source.mode,
+                    refinements: followUps.length / 2
+                });
+            } catch (error) {
+                debugLog(`Could not record the generation: ${error.message}`);
+            }
+            return generated;
+        } catch (error) {
+            if (controller.signal.aborted) {
+                spinner.warn(t('common.generationCancelled'));
+                log(chalk.yellow(`\n👋 ${t('common.cancelled')}\n`));
+                exit(EXIT_CODES.CANCELLED);
+            }
+            spinner.fail(t('pr.generateError'));
+            log(chalk.red(`\n❌ ${error.message}`));
+            if (error.exitCode === EXIT_CODES.PARSE_FAILURE) {
+                log(chalk.white(`   ${t('pr.parseHint')}\n`));
+            } else {
+                log(chalk.white(`   ${t('pr.providerHint', { provider: getProvider().label })}\n`));
+            }
+            exit(error.exitCode || EXIT_CODES.MODEL_UNREACHABLE);
+        } finally {
+            process.removeListener('SIGINT', onSigint);
+        }
+    };
+
+    // Full text edited in $EDITOR; replaces the rendered description until
+    // the structured fields change again
+    let editedDescription = null;
+    let continueLoop = true;
+
+    while (continueLoop) {
+        if (!prData) {
+            prData = await generateDescription();
+            editedDescription = null;
+        }
+
+        if (update) {
+            let outcome;
+            try {
+                outcome = await reviewPullRequestUpdate({
+                    target: updateTarget,
+                    existing: existingPR,
+                    prData,
+                    context,
+                    nonInteractive,
+                    dryRun,
+                    log
+                });
+            } catch (error) {
+                log(chalk.red(`\n❌ ${t('pr.updateError', { message: error.message })}\n`));
+                exit(EXIT_CODES.FORGE_ERROR);
+            }
+
+            if (outcome === 'regenerate') {
+                log(chalk.cyan(`\n🔄 ${t('pr.regenerating')}\n`));
+                prData = null;
+                continue;
+            }
+            if (outcome === 'cancel') {
+                log(chalk.yellow(`\n👋 ${t('common.cancelled')}\n`));
+            }
+            return;
+        }
+
+        const { extension } = OUTPUT_FORMATS[format];
+        const prDescription = editedDescription ?? renderPR(prData, context, format);
+        const forgeBody = editedDescription === null ? undefined : editedDescription.replace(/^# .*\n+/, '');
+
+        if (nonInteractive) {
+            if (toStdout) {
+                process.stdout.write(prDescription);
+            } else if (dryRun) {
+                log(chalk.yellow(`\n🏃 ${t('pr.dryRunNotSaved')}\n`));
+            } else {
+                const filePath = savePRDescription(prDescription, source.name, outputDir, extension);
+                log(chalk.green(`✔ ${t('pr.fileSaved', { path: filePath })}`));
+            }
+            if (create && !(await openPullRequest(prData))) {
+                exit(EXIT_CODES.FORGE_ERROR);
+            }
+            return;
+        }
+
+        log(chalk.cyan(`\n📝 ${t('pr.proposed')}\n`));
+        log(chalk.gray('─'.repeat(60)));
+        log(prDescription);
+        log(chalk.gray('─'.repeat(60)));
+        log();
+
+        const choices = [
+            { name: chalk.green(`✅ ${t('menu.accept')}`), value: 'accept' },
+            { name: chalk.yellow(`🔄 ${t('menu.regenerate')}`), value: 'regenerate' },
+            { name: chalk.yellow(`💬 ${t('menu.refine')}`), value: 'refine' },
+            { name: chalk.blue(`✏️  ${t('menu.edit')}`), value: 'edit' },
+            { name: chalk.cyan(`📋 ${t('menu.copy')}`), value: 'copy' },
+            new inquirer.Separator(),
+            { name: chalk.magenta(`🤖 ${t('menu.changeModel')}`), value: 'change-model' },
+            new inquirer.Separator(),
+            { name: chalk.red(`❌ ${t('menu.cancel')}`), value: 'cancel' }
+        ];
+
+        if (dryRun) {
+            choices[0] = { name: chalk.green(`✅ ${t('menu.acceptDryRun')}`), value: 'accept' };
+        } else if (create) {
+            choices[0] = { name: chalk.green(`✅ ${t('menu.acceptCreate')}`), value: 'accept' };
+        }
+
+        // A PR can only be opened for committed branch changes
+        const detectedForge = source.mode === 'branch' ? detectForge() : null;
+        if (detectedForge && !create) {
+            choices.splice(5, 0, {
+                name: chalk.green(`🚀 ${t('menu.create', { requestName: detectedForge.forge.requestName, label: detectedForge.forge.label })}`),
+                value: 'create'
+            });
+        }
+
+        const { action } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'action',
+                message: t('menu.prompt'),
+                choices
+            }
+        ]);
+
+        switch (action) {
+            case 'accept':
+                if (dryRun) {
+                    console.log(chalk.yellow(`\n🏃 ${t('pr.dryRunNotSaved')}\n`));
+                } else {
+                    const saveSpinner = ora(t('pr.saving')).start();
+                    try {
+                        const filePath = savePRDescription(prDescription, source.name, outputDir, extension);
+                        saveSpinner.succeed(t('pr.fileSaved', { path: chalk.green(filePath) }));
+                        console.log(chalk.cyan(`\n💡 ${t('pr.saveTip')}\n`));
+                    } catch (error) {
+                        saveSpinner.fail(t('pr.saveError'));
+                        console.log(chalk.red(`\n❌ ${error.message}\n`));
+                    }
+                }
+                // The file is saved either way; the exit code still reports the failed --create
+                if (create && !(await openPullRequest(prData, forgeBody))) {
+                    exit(EXIT_CODES.FORGE_ERROR);
+                }
+                continueLoop = false;
+                break;
+
+            case 'create':
+                // Stay in the menu on failure so the description isn't lost
+                if (await openPullRequest(prData, forgeBody)) {
+                    continueLoop = false;
+                }
+                break;
+
+            case 'regenerate':
+                console.log(chalk.cyan(`\n🔄 ${t('pr.regenerating')}\n`));
+                prData = null;
+                break;
+
+            case 'refine': {
+                const { feedback } = await inquirer.prompt([
+                    {
+                        type: 'input',
+                        name: 'feedback',
+                        message: t('pr.refinePrompt')
+                    }
+                ]);
+                if (!feedback.trim()) {
+                    break;
+                }
+                // The current fields (including manual edits) are the answer being refined
+                followUps.push(
+                    { role: 'assistant', content: JSON.stringify(prData, null, 2) },
+                    { role: 'user', content: buildRefinePrompt(feedback.trim()) }
+                );
+                console.log(chalk.cyan(`\n💬 ${t('pr.refiningNotice')}\n`));
+                prData = null;
+                break;
+            }
+
+            case 'edit': {
+                const edited = await editPRDescription(prData, prDescription, format);
+                if (edited) {
+                    if (editedDescription !== null && edited.editedDescription === null) {
+                        console.log(chalk.yellow(`\n⚠️  ${t('pr.editsDropped')}`));
+                    }
+                    ({ prData, editedDescription } = edited);
+                }
+                break;
+            }
+
+            case 'copy':
+                try {
+                    // Try to copy to clipboard using available system commands
+                    const copyCommands = [
+                        { cmd: 'pbcopy', platform: 'darwin' },
+                        { cmd: 'xclip -selection clipboard', platform: 'linux' },
+                        { cmd: 'xsel --clipboard --input', platform: 'linux' },
+                        { cmd: 'clip', platform: 'win32' }
+                    ];
+
+                    const platform = process.platform;
+                    let copied = false;
+
+                    for (const { cmd, platform: p } of copyCommands) {
+                        if (p === platform || (p === 'linux' && platform === 'linux')) {
+                            try {
+                                execSync(cmd, {
+                                    input: prDescription,
+                                    stdio: ['pipe', 'pipe', 'pipe']
+                                });
+                                copied = true;
+                                console.log(chalk.green(`\n✅ ${t('pr.copied')}\n`));
+                                break;
+                            } catch {
+                                continue;
+                            }
+                        }
+                    }
+
+                    if (!copied) {
+                        console.log(chalk.yellow(`\n⚠️  ${t('pr.copyFailed')}\n`));
+                    }
+                } catch {
+                    console.log(chalk.yellow(`\n⚠️  ${t('pr.clipboardUnavailable')}\n`));
+                }
+                break;
+
+            case 'change-model':
+                // Also applies to this run when the repository config pins another model
+                config.setOverrides({ ollamaModel: await changeModelInteractive() });
+                console.log(chalk.cyan(`\n🔄 ${t('pr.regeneratingModel')}\n`));
+                prData = null;
+                break;
+
+            case 'cancel':
+                console.log(chalk.yellow(`\n👋 ${t('common.cancelled')}\n`));
+                continueLoop = false;
+                break;
+        }
+    }
+}
+
+/**
+ * `mkpr commit`: generate a Conventional Commits message for the staged
+ * changes. With `messageFile` (prepare-commit-msg hook) the message is
+ * written above git's template and failures never block the commit.
+ */
+async function generateCommitMessage({ nonInteractive, dryRun, toStdout, messageFile }) {
+    const hookMode = Boolean(messageFile);
+    const quiet = nonInteractive || hookMode;
+    const log = quiet ? console.error : console.log;
+    const createSpinner = (text) => ora({ text, spinner: 'dots', isEnabled: nonInteractive ? false : undefined });
+
+    const source = resolveDiffSource({ baseBranch: config.get('baseBranch'), staged: true });
+    const { diffData, changedFiles, stats } = await collectGitData(source);
+
+    if (!diffData) {
+        if (hookMode) {
+            return;
+        }
+        log(chalk.yellow(`⚠️  ${t('commit.noStaged')}\n`));
+        process.exit(nonInteractive ? EXIT_CODES.NO_DIFF : EXIT_CODES.SUCCESS);
+    }
+
+    const context = {
+        currentBranch: diffData.currentBranch,
+        diff: diffData.diff,
+        changedFiles: changedFiles.filter(f => !f.excluded),
+        stats
+    };
 
-        // Categorize the error
-        if (errorMsg.includes('Could not resolve host') || errorMsg.includes('unable to access')) {
-            return { success: false, reason: 'network', message: 'No network connection' };
-        }
-        if (errorMsg.includes('Authentication failed') || errorMsg.includes('Permission denied')) {
-            return { success: false, reason: 'auth', message: 'Authentication failed' };
+    let continueLoop = true;
+
+    while (continueLoop) {
+        const spinner = createSpinner(t('commit.generating', { model: chalk.yellow(config.get('ollamaModel')) })).start();
+
+        const controller = new AbortController();
+        const onSigint = () => controller.abort();
+        process.on('SIGINT', onSigint);
+
+        let message;
+        try {
+            message = formatCommitMessage(await generateCommitData(context, {
+                signal: controller.signal,
+                strict: quiet
+            }));
+            spinner.succeed(t('commit.generated'));
+        } catch (error) {
+            if (controller.signal.aborted) {
+                spinner.warn(t('common.generationCancelled'));
+                log(chalk.yellow(`\n👋 ${t('common.cancelled')}\n`));
+                process.exit(hookMode ? EXIT_CODES.SUCCESS : EXIT_CODES.CANCELLED);
+            }
+            spinner.fail(t('commit.generateError'));
+            log(chalk.red(`\n❌ ${error.message}\n`));
+            if (hookMode) {
+                return;
+            }
+            process.exit(error.exitCode || EXIT_CODES.MODEL_UNREACHABLE);
+        } finally {
+            process.removeListener('SIGINT', onSigint);
         }
-        if (errorMsg.includes('timeout')) {
-            return { success: false, reason: 'timeout', message: 'Connection timeout' };
+
+        if (hookMode) {
+            // Keep git's commented status lines below the generated message
+            const existing = fs.existsSync(messageFile) ? fs.readFileSync(messageFile, 'utf-8') : '';
+            fs.writeFileSync(messageFile, `${message}${existing.startsWith('\n') ? '' : '\n'}${existing}`, 'utf-8');
+            return;
         }
 
-        return { success: false, reason: 'unknown', message: 'Unknown error' };
-    }
-}
+        if (nonInteractive) {
+            if (toStdout) {
+                process.stdout.write(message);
+            } else if (dryRun) {
+                log(chalk.yellow(`\n🏃 ${t('commit.dryRun')}\n`));
+                log(message);
+            } else {
+                commitWithMessage(message);
+            }
+            return;
+        }
 
-/**
- * Save PR description to file
- */
-function savePRDescription(content, branchName, outputDir) {
-    const sanitizedName = sanitizeBranchName(branchName);
-    const fileName = `${sanitizedName}_pr.md`;
+        console.log(chalk.cyan(`\n📝 ${t('commit.proposed')}\n`));
+        console.log(chalk.gray('─'.repeat(60)));
+        console.log(message);
+        console.log(chalk.gray('─'.repeat(60)));
+        console.log();
 
-    const resolvedOutputDir = path.resolve(process.cwd(), outputDir);
-    const filePath = path.join(resolvedOutputDir, fileName);
+        let { action } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'action',
+                message: t('menu.prompt'),
+                choices: [
+                    { name: chalk.green(`✅ ${t(dryRun ? 'commit.acceptDryRun' : 'commit.accept')}`), value: 'accept' },
+                    { name: chalk.yellow(`🔄 ${t('commit.regenerate')}`), value: 'regenerate' },
+                    { name: chalk.blue(`✏️  ${t('commit.edit')}`), value: 'edit' },
+                    new inquirer.Separator(),
+                    { name: chalk.magenta(`🤖 ${t('menu.changeModel')}`), value: 'change-model' },
+                    new inquirer.Separator(),
+                    { name: chalk.red(`❌ ${t('menu.cancel')}`), value: 'cancel' }
+                ]
+            }
+        ]);
 
-    if (!fs.existsSync(resolvedOutputDir)) {
-        fs.mkdirSync(resolvedOutputDir, { recursive: true });
-    }
+        if (action === 'edit') {
+            const { editedMessage } = await inquirer.prompt([
+                {
+                    type: 'editor',
+                    name: 'editedMessage',
+                    message: t('commit.editPrompt'),
+                    default: message
+                }
+            ]);
+            if (!editedMessage.trim()) {
+                console.log(chalk.yellow(`\n⚠️  ${t('commit.empty')}\n`));
+                continue;
+            }
+            message = editedMessage;
+            action = 'accept';
+        }
 
-    fs.writeFileSync(filePath, content, 'utf-8');
-    return filePath;
-}
+        switch (action) {
+            case 'accept':
+                if (dryRun) {
+                    console.log(chalk.yellow(`\n🏃 ${t('commit.dryRun')}\n`));
+                } else {
+                    commitWithMessage(message);
+                }
+                continueLoop = false;
+                break;
 
-// ============================================
-// OLLAMA FUNCTIONS
-// ============================================
+            case 'regenerate':
+                console.log(chalk.cyan(`\n🔄 ${t('commit.regenerating')}\n`));
+                break;
 
-async function getAvailableModels() {
-    const port = config.get('ollamaPort');
-    const response = await fetchWithTimeout(`http://localhost:${port}/api/tags`, {}, 10000);
+            case 'change-model':
+                config.setOverrides({ ollamaModel: await changeModelInteractive() });
+                console.log(chalk.cyan(`\n🔄 ${t('commit.regeneratingModel')}\n`));
+                break;
 
-    if (!response.ok) {
-        throw new Error(`Could not connect to Ollama on port ${port}`);
+            case 'cancel':
+                console.log(chalk.yellow(`\n👋 ${t('common.cancelled')}\n`));
+                continueLoop = false;
+                break;
+        }
     }
-
-    const data = await response.json();
-    return data.models || [];
 }
 
-async function listModels() {
-    const spinner = ora('Getting model list...').start();
-
-    try {
-        const models = await getAvailableModels();
-        spinner.stop();
-
-        if (models.length === 0) {
-            console.log(chalk.yellow('\n⚠️  No models installed in Ollama.'));
-            console.log(chalk.white('   Run: ollama pull <model> to download one.\n'));
-            return;
+/**
+ * `mkpr changelog`: summarize the changes merged between two revisions
+ * into a Keep a Changelog section of CHANGELOG.md
+ */
+async function generateChangelog({ from, to = 'HEAD', release, outputFile, nonInteractive, dryRun, toStdout }) {
+    const log = nonInteractive ? console.error : console.log;
+    const createSpinner = (text) => ora({ text, spinner: 'dots', isEnabled: nonInteractive ? false : undefined });
+
+    if (!from) {
+        from = getPreviousTag(to);
+        if (!from) {
+            throw new Error(t('changelog.noTag'));
         }
+    }
 
-        console.log(chalk.cyan('\n📦 Available models in Ollama:\n'));
-        models.forEach((model, index) => {
-            const name = model.name || model.model;
-            const size = model.size ? formatSize(model.size) : 'N/A';
-            const current = name === config.get('ollamaModel') ? chalk.green(' ← current') : '';
-            console.log(chalk.white(`   ${index + 1}. ${chalk.yellow(name)} ${chalk.gray(`(${size})`)}${current}`));
-        });
-        console.log();
+    const source = resolveDiffSource({ range: `${from}..${to}` });
+    const releaseName = release || (to === 'HEAD' ? 'Unreleased' : to.replace(/^v(?=\d)/, ''));
+    const filePath = path.resolve(process.cwd(), outputFile || path.join(getGitRoot(), 'CHANGELOG.md'));
 
-    } catch (error) {
-        spinner.fail('Error connecting to Ollama');
-        console.log(chalk.red(`\n❌ ${error.message}`));
-        console.log(chalk.white('   Make sure Ollama is running.\n'));
+    log(chalk.cyan(`\n📜 ${t('changelog.range', { from: chalk.yellow(from), to: chalk.yellow(to) })}\n`));
+
+    const entries = getChangelogEntries(source);
+    if (entries.length === 0) {
+        log(chalk.yellow(`⚠️  ${t('changelog.noChanges')}\n`));
+        process.exit(nonInteractive ? EXIT_CODES.NO_DIFF : EXIT_CODES.SUCCESS);
     }
-}
 
-async function setModel(modelName) {
-    const spinner = ora('Verifying model...').start();
+    const merged = entries.filter(entry => entry.ref).length;
+    log(chalk.white(`📝 ${t('changelog.entries', { count: chalk.yellow(entries.length) })} ${chalk.gray(t('changelog.merged', { count: merged }))}`));
+    log();
 
-    try {
-        const models = await getAvailableModels();
-        const modelNames = models.map(m => m.name || m.model);
+    let continueLoop = true;
 
-        const exactMatch = modelNames.find(name => name === modelName);
-        const partialMatch = modelNames.find(name =>
-            name.startsWith(modelName + ':') || name.split(':')[0] === modelName
-        );
+    while (continueLoop) {
+        const spinner = createSpinner(t('changelog.summarizing', { model: chalk.yellow(config.get('ollamaModel')) })).start();
+        const sections = [];
 
-        if (exactMatch) {
-            config.set('ollamaModel', exactMatch);
-            spinner.succeed(`Model set to: ${chalk.yellow(exactMatch)}`);
-        } else if (partialMatch) {
-            config.set('ollamaModel', partialMatch);
-            spinner.succeed(`Model set to: ${chalk.yellow(partialMatch)}`);
-        } else {
-            spinner.fail('Model not found');
-            console.log(chalk.red(`\n❌ Model "${modelName}" is not available.\n`));
-            console.log(chalk.cyan('📦 Available models:'));
-            modelNames.forEach(name => {
-                console.log(chalk.white(`   • ${chalk.yellow(name)}`));
-            });
-            console.log();
-            process.exit(1);
-        }
+        // Only the model calls are cancelled by Ctrl+C; the prompts below handle it themselves
+        const controller = new AbortController();
+        const onSigint = () => controller.abort();
+        process.on('SIGINT', onSigint);
 
-    } catch (error) {
-        spinner.fail('Error verifying model');
-        console.log(chalk.red(`\n❌ ${error.message}`));
-        process.exit(1);
-    }
-}
+        try {
+            await classifyChangelogEntries(entries, { signal: controller.signal });
 
-async function changeModelInteractive() {
-    const spinner = ora('Getting available models...').start();
+            for (const { heading, types } of CHANGELOG_SECTIONS) {
+                const group = entries.filter(entry => types.includes(entry.type));
+                if (group.length > 0) {
+                    spinner.text = t('changelog.summarizingSection', { heading, count: group.length });
+                    sections.push({ heading, lines: await summarizeChangelogSection(heading, group, { signal: controller.signal }) });
+                }
+            }
+            spinner.succeed(t('changelog.generated'));
+        } catch (error) {
+            if (controller.signal.aborted) {
+                spinner.warn(t('common.generationCancelled'));
+                log(chalk.yellow(`\n👋 ${t('common.cancelled')}\n`));
+                process.exit(EXIT_CODES.CANCELLED);
+            }
+            throw error;
+        } finally {
+            process.removeListener('SIGINT', onSigint);
+        }
 
-    try {
-        const models = await getAvailableModels();
-        spinner.stop();
+        const section = formatChangelogSection(releaseName, sections, new Date().toISOString().slice(0, 10));
 
-        if (models.length === 0) {
-            console.log(chalk.yellow('\n⚠️  No models installed in Ollama.\n'));
+        if (nonInteractive) {
+            if (toStdout) {
+                process.stdout.write(section);
+            } else if (dryRun) {
+                log(chalk.yellow(`\n🏃 ${t('changelog.dryRun')}\n`));
+                log(section);
+            } else {
+                writeChangelog(filePath, section, releaseName);
+                log(chalk.green(`✔ ${t('changelog.updated', { path: filePath })}`));
+            }
             return;
         }
 
-        const currentModel = config.get('ollamaModel');
-        const choices = models.map(model => {
-            const name = model.name || model.model;
-            const size = model.size ? formatSize(model.size) : '';
-            const isCurrent = name === currentModel;
-            return {
-                name: `${name} ${chalk.gray(size)}${isCurrent ? chalk.green(' ← current') : ''}`,
-                value: name,
-                short: name
-            };
-        });
+        console.log(chalk.cyan(`\n📝 ${t('changelog.proposed')}\n`));
+        console.log(chalk.gray('─'.repeat(60)));
+        console.log(section);
+        console.log(chalk.gray('─'.repeat(60)));
+        console.log();
 
-        const { selectedModel } = await inquirer.prompt([
+        const { action } = await inquirer.prompt([
             {
                 type: 'list',
-                name: 'selectedModel',
-                message: 'Select the model:',
-                choices,
-                default: currentModel
+                name: 'action',
+                message: t('menu.prompt'),
+                choices: [
+                    { name: chalk.green(`✅ ${dryRun ? t('changelog.acceptDryRun') : t('changelog.write', { path: path.relative(process.cwd(), filePath) || filePath })}`), value: 'accept' },
+                    { name: chalk.yellow(`🔄 ${t('changelog.regenerate')}`), value: 'regenerate' },
+                    new inquirer.Separator(),
+                    { name: chalk.red(`❌ ${t('menu.cancel')}`), value: 'cancel' }
+                ]
             }
         ]);
 
-        config.set('ollamaModel', selectedModel);
-        console.log(chalk.green(`\n✅ Model changed to: ${chalk.yellow(selectedModel)}`));
+        switch (action) {
+            case 'accept':
+                if (dryRun) {
+                    console.log(chalk.yellow(`\n🏃 ${t('changelog.dryRun')}\n`));
+                } else {
+                    writeChangelog(filePath, section, releaseName);
+                    console.log(chalk.green(`\n✅ ${t('changelog.updated', { path: filePath })}\n`));
+                }
+                continueLoop = false;
+                break;
 
-    } catch (error) {
-        spinner.fail('Error getting models');
-        console.log(chalk.red(`\n❌ ${error.message}`));
-        console.log(chalk.white('   Make sure Ollama is running.\n'));
+            case 'regenerate':
+                console.log(chalk.cyan(`\n🔄 ${t('changelog.regenerating')}\n`));
+                break;
+
+            case 'cancel':
+                console.log(chalk.yellow(`\n👋 ${t('common.cancelled')}\n`));
+                continueLoop = false;
+                break;
+        }
     }
 }
 
-// ============================================
-// CONFIGURATION DISPLAY
-// ============================================
+/**
+ * `mkpr prompt`: show the prompt files in effect, create a starter one, or
+ * import merged PRs from the forge as style examples
+ */
+async function managePromptFiles({ init, global: useGlobal, importExamples }) {
+    const filePath = useGlobal ? getGlobalPromptFile() : getRepoPromptFile();
+
+    if (init) {
+        const created = initPromptFile(filePath);
+        console.log(created
+            ? chalk.green(`✅ ${t('prompt.created', { path: created })}`)
+            : chalk.yellow(`⚠️  ${t('prompt.exists', { path: filePath })}`));
+        return;
+    }
 
-function showConfig() {
-    console.log(chalk.cyan('\n📋 Current configuration:\n'));
-    console.log(chalk.white(`   Ollama Port:      ${chalk.yellow(config.get('ollamaPort'))}`));
-    console.log(chalk.white(`   Model:            ${chalk.yellow(config.get('ollamaModel'))}`));
-    console.log(chalk.white(`   Base branch:      ${chalk.yellow(config.get('baseBranch'))}`));
-    console.log(chalk.white(`   Output directory: ${chalk.yellow(config.get('outputDir'))}`));
-    console.log(chalk.white(`   Debug:            ${chalk.yellow(config.get('debug') ? 'enabled' : 'disabled')}`));
-    console.log(chalk.white(`   Excluded files:   ${chalk.gray(config.get('excludeFiles').length + ' files')}`));
+    if (importExamples) {
+        const limit = importExamples === true ? 3 : parseInt(importExamples, 10);
+        if (isNaN(limit) || limit < 1) {
+            throw new Error(t('prompt.invalidCount'));
+        }
+
+        const target = getForgeTarget();
+        const { requestName, label } = target.forge;
+        const spinner = ora(t('prompt.fetching', { count: limit, requestName, label })).start();
+        const pullRequests = await target.forge.listMergedPullRequests(target, limit);
+        spinner.succeed(t('prompt.found', { count: pullRequests.length, requestName }));
+
+        const added = appendPromptReferences(filePath, pullRequests);
+        console.log(added > 0
+            ? chalk.green(`✅ ${t('prompt.added', { count: added, path: filePath })}`)
+            : chalk.yellow(`⚠️  ${t('prompt.noNew')}`));
+        return;
+    }
+
+    const custom = loadPromptCustomization();
+    const files = [[t('prompt.global'), getGlobalPromptFile()]];
+    const repoFile = getRepoPromptFile();
+    if (repoFile) {
+        files.push([t('prompt.repo'), repoFile]);
+    }
+    const rows = [
+        [t('prompt.instructions'), t(custom.system ? 'prompt.customInstructions' : 'prompt.builtInInstructions')],
+        [t('prompt.conventions'), t(custom.conventions.length > 0 ? 'prompt.yes' : 'prompt.none')],
+        [t('prompt.examples'), custom.examples.length > 0 ? custom.examples.length : t('prompt.builtInExamples')],
+        [t('prompt.pastPrs'), custom.references.length]
+    ];
+
+    console.log(chalk.cyan(`\n📝 ${t('prompt.title')}\n`));
+    const fileWidth = Math.max(...files.map(([label]) => label.length)) + 1;
+    files.forEach(([label, file]) => {
+        console.log(chalk.white(`   ${label.padEnd(fileWidth)}${file}${fs.existsSync(file) ? '' : chalk.gray(` ${t('prompt.notFound')}`)}`));
+    });
     console.log();
+    const width = Math.max(...rows.map(([label]) => label.length)) + 2;
+    rows.forEach(([label, value]) => console.log(chalk.white(`   ${label.padEnd(width)}${value}`)));
+    console.log(chalk.gray(`\n   ${t('prompt.showHint')}\n`));
 }
 
-// ============================================
-// MAIN FLOW
-// ============================================
-
-async function generatePRDescription(baseBranch, outputDir, dryRun) {
-    console.log(chalk.cyan('\n🔍 Analyzing differences with base branch...\n'));
+/**
+ * One line per history entry, numbered from the latest (1)
+ */
+function formatHistoryEntry(entry, number) {
+    const date = new Date(entry.createdAt).toLocaleString();
+    const refined = entry.refinements ? chalk.gray(` ${t('history.refined', { count: entry.refinements })}`) : '';
+    const type = `${TYPE_EMOJI[entry.prData.type] || ''} ${entry.prData.type}`.trim();
+    return `${String(number).padStart(3)}  ${chalk.gray(date)}  ${chalk.yellow(entry.model)}  ${type}  ${entry.prData.title}${refined}`;
+}
 
-    // Fetch to ensure we have the latest version
-    const fetchSpinner = ora('Getting latest changes from origin...').start();
-    const fetchResult = fetchOrigin();
+/**
+ * `mkpr history`: list the generations recorded for a branch, then show,
+ * restore (save as the description file) or compare them
+ */
+async function browseHistory({ branch, list, show, restore, compare, clear, format, outputDir, toStdout }) {
+    const name = branch || getCurrentBranch();
 
-    if (fetchResult.success) {
-        fetchSpinner.succeed('Repository updated');
-    } else {
-        if (fetchResult.reason === 'auth') {
-            fetchSpinner.fail(`Could not fetch: ${fetchResult.message}`);
-            console.log(chalk.yellow('   Continuing with local data, but results may be outdated.\n'));
-        } else {
-            fetchSpinner.warn(`Could not fetch (${fetchResult.message}), continuing with local data`);
-        }
+    if (clear) {
+        console.log(clearHistory(name)
+            ? chalk.green(`✅ ${t('history.cleared', { branch: name })}`)
+            : chalk.yellow(`⚠️  ${t('history.noHistory', { branch: name })}`));
+        return;
     }
 
-    const diffData = getBranchDiff(baseBranch);
-
-    if (!diffData) {
-        console.log(chalk.yellow('⚠️  No differences with base branch.'));
-        console.log(chalk.white(`   Your branch is up to date with ${baseBranch}.\n`));
-        process.exit(0);
+    // Latest first, so #1 is always the most recent generation
+    const entries = loadHistory(name).reverse();
+    if (entries.length === 0) {
+        console.log(chalk.yellow(`⚠️  ${t('history.empty', { branch: name })}`));
+        return;
     }
 
-    const commits = getCommitsList(baseBranch);
-    const changedFiles = getChangedFiles(baseBranch);
-    const stats = getFilesStats(baseBranch);
+    const pick = (number) => {
+        const entry = entries[parseInt(number, 10) - 1];
+        if (!entry) {
+            throw new Error(t('history.noEntry', { number, count: entries.length }));
+        }
+        return entry;
+    };
+    const template = format === 'markdown' ? resolveTemplate(config.get('template'), getGitRoot()) : null;
+    const render = (entry) => renderPR(entry.prData, { ...entry.context, template }, format);
 
-    // Filter excluded files for display
-    const includedFiles = changedFiles.filter(f => !f.excluded);
-    const excludedFiles = changedFiles.filter(f => f.excluded);
+    const restoreEntry = (entry) => {
+        const description = render(entry);
+        if (toStdout) {
+            process.stdout.write(description);
+            return;
+        }
+        const filePath = savePRDescription(description, name, outputDir, OUTPUT_FORMATS[format].extension);
+        console.log(chalk.green(`✅ ${t('history.restored', { date: new Date(entry.createdAt).toLocaleString(), path: filePath })}`));
+    };
 
-    console.log(chalk.white(`📌 Current branch: ${chalk.yellow(diffData.currentBranch)}`));
-    console.log(chalk.white(`📌 Base branch:    ${chalk.yellow(diffData.baseBranch)}`));
-    console.log(chalk.white(`📝 Commits:        ${chalk.yellow(commits.length)}`));
-    console.log(chalk.white(`📁 Files:          ${chalk.yellow(includedFiles.length)} ${excludedFiles.length > 0 ? chalk.gray(`(${excludedFiles.length} excluded)`) : ''}`));
-    console.log();
+    const compareEntries = (from, to) => {
+        console.log(chalk.cyan(`\n📝 #${entries.indexOf(from) + 1} → #${entries.indexOf(to) + 1}:\n`));
+        printLineDiff(render(from), render(to));
+        console.log();
+    };
 
-    // Show changed files
-    console.log(chalk.white('📁 Modified files:'));
-    includedFiles.slice(0, 10).forEach(f => {
-        const statusColor = f.status === 'added' ? chalk.green :
-            f.status === 'deleted' ? chalk.red : chalk.yellow;
-        console.log(chalk.gray(`   ${statusColor(`[${f.statusCode}]`)} ${f.file}`));
-    });
-    if (includedFiles.length > 10) {
-        console.log(chalk.gray(`   ... and ${includedFiles.length - 10} more files`));
+    if (show) {
+        console.log(render(pick(show)));
+        return;
     }
-
-    // Show excluded files
-    if (excludedFiles.length > 0) {
-        console.log(chalk.gray(`\n🚫 Excluded from analysis (${excludedFiles.length}):`));
-        excludedFiles.slice(0, 5).forEach(f => {
-            console.log(chalk.gray(`   • ${f.file}`));
-        });
-        if (excludedFiles.length > 5) {
-            console.log(chalk.gray(`   ... and ${excludedFiles.length - 5} more`));
-        }
+    if (restore) {
+        restoreEntry(pick(restore));
+        return;
+    }
+    if (compare) {
+        // A single entry is compared with the latest generation
+        const [from, to = '1'] = compare;
+        compareEntries(pick(from), pick(to));
+        return;
     }
-    console.log();
 
-    const context = {
-        currentBranch: diffData.currentBranch,
-        baseBranch: diffData.baseBranch,
-        diff: diffData.diff,
-        commits,
-        changedFiles: includedFiles,
-        stats
-    };
+    console.log(chalk.cyan(`\n📚 ${t('history.title', { branch: name, count: entries.length })}\n`));
+    entries.forEach((entry, index) => console.log(formatHistoryEntry(entry, index + 1)));
+    console.log();
+    if (list) {
+        return;
+    }
 
-    let continueLoop = true;
+    for (;;) {
+        const { selected } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'selected',
+                message: t('history.select'),
+                choices: [
+                    ...entries.map((entry, index) => ({ name: formatHistoryEntry(entry, index + 1), value: entry })),
+                    new inquirer.Separator(),
+                    { name: t('history.exit'), value: null }
+                ]
+            }
+        ]);
+        if (!selected) {
+            return;
+        }
 
-    while (continueLoop) {
-        const spinner = ora({
-            text: `Generating description with ${chalk.yellow(config.get('ollamaModel'))}...`,
-            spinner: 'dots'
-        }).start();
+        const { action } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'action',
+                message: t('menu.prompt'),
+                choices: [
+                    { name: `👀 ${t('history.view')}`, value: 'view' },
+                    { name: chalk.green(`💾 ${t('history.restore')}`), value: 'restore' },
+                    ...(entries.length > 1 ? [{ name: `🔀 ${t('history.compare')}`, value: 'compare' }] : []),
+                    { name: `↩️  ${t('edit.back')}`, value: 'back' }
+                ]
+            }
+        ]);
 
-        let prDescription;
-        try {
-            prDescription = await generatePRDescriptionText(context);
-            spinner.succeed('Description generated');
-        } catch (error) {
-            spinner.fail('Error generating description');
-            console.log(chalk.red(`\n❌ ${error.message}`));
-            console.log(chalk.white('   Verify that Ollama is running and the model is available.\n'));
-            process.exit(1);
+        if (action === 'view') {
+            console.log(chalk.gray('\n' + '─'.repeat(60)));
+            console.log(render(selected));
+            console.log(chalk.gray('─'.repeat(60) + '\n'));
+        } else if (action === 'restore') {
+            restoreEntry(selected);
+            return;
+        } else if (action === 'compare') {
+            const { other } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'other',
+                    message: t('history.compareWith'),
+                    choices: entries
+                        .map((entry, index) => ({ name: formatHistoryEntry(entry, index + 1), value: entry }))
+                        .filter(choice => choice.value !== selected)
+                }
+            ]);
+            compareEntries(other, selected);
         }
+    }
+}
+
+/**
+ * `mkpr stack`: regenerate the description of every branch in the current
+ * branch's stack, bottom first, each against its own parent
+ */
+async function regenerateStack({ baseBranch, outputDir, dryRun, format, template, update, nonInteractive }) {
+    const log = nonInteractive ? console.error : console.log;
 
-        console.log(chalk.cyan('\n📝 Proposed PR description:\n'));
-        console.log(chalk.gray('─'.repeat(60)));
-        console.log(prDescription);
-        console.log(chalk.gray('─'.repeat(60)));
-        console.log();
+    const fetchResult = await fetchOrigin();
+    if (!fetchResult.success) {
+        log(chalk.yellow(`⚠️  ${t('pr.fetchWarning', { message: fetchResult.message })}\n`));
+    }
 
-        const choices = [
-            { name: chalk.green('✅ Accept and save file'), value: 'accept' },
-            { name: chalk.yellow('🔄 Generate another description'), value: 'regenerate' },
-            { name: chalk.blue('✏️  Edit title manually'), value: 'edit' },
-            { name: chalk.cyan('📋 Copy to clipboard'), value: 'copy' },
-            new inquirer.Separator(),
-            { name: chalk.magenta('🤖 Change model'), value: 'change-model' },
-            new inquirer.Separator(),
-            { name: chalk.red('❌ Cancel'), value: 'cancel' }
-        ];
+    if (baseBranch === 'auto') {
+        baseBranch = await chooseBaseBranch({ nonInteractive, log });
+    }
 
-        if (dryRun) {
-            choices[0] = { name: chalk.green('✅ Accept (dry-run, will not save)'), value: 'accept' };
+    const currentBranch = getCurrentBranch();
+    const stack = await getStack(getRemoteBaseBranch(baseBranch), currentBranch);
+    if (stack.length < 2) {
+        log(chalk.yellow(`⚠️  ${t('stack.notStacked', { branch: currentBranch })}\n`));
+        return;
+    }
+
+    log(chalk.cyan(`\n🥞 ${t('stack.title', { base: baseBranch })}\n`));
+    stack.forEach(({ branch, parent }, index) => {
+        const line = `   ${index + 1}. ${branch} ${chalk.gray(t('stack.on', { parent: parent || baseBranch }))}`;
+        log(branch === currentBranch ? chalk.yellow(line) : chalk.white(line));
+    });
+    log();
+
+    // --update needs an open PR per branch; skip the others instead of failing halfway
+    let branches = stack.map(entry => entry.branch);
+    if (update) {
+        const linked = await linkStackPullRequests(stack, currentBranch, null);
+        const missing = linked.filter(entry => !entry.pr).map(entry => entry.branch);
+        if (missing.length > 0) {
+            log(chalk.yellow(`⚠️  ${t('stack.missing', { count: missing.length, branches: missing.join(', ') })}\n`));
+            branches = branches.filter(branch => !missing.includes(branch));
         }
+    }
 
-        const { action } = await inquirer.prompt([
+    if (!nonInteractive) {
+        const { confirmed } = await inquirer.prompt([
             {
-                type: 'list',
-                name: 'action',
-                message: 'What would you like to do?',
-                choices
+                type: 'confirm',
+                name: 'confirmed',
+                message: t(update ? 'stack.confirmUpdate' : 'stack.confirm', { count: branches.length }),
+                default: true
             }
         ]);
+        if (!confirmed) {
+            log(chalk.yellow(`\n👋 ${t('common.cancelled')}\n`));
+            return;
+        }
+    }
 
-        switch (action) {
-            case 'accept':
-                if (dryRun) {
-                    console.log(chalk.yellow('\n🏃 Dry-run: description NOT saved.\n'));
-                } else {
-                    const saveSpinner = ora('Saving file...').start();
-                    try {
-                        const filePath = savePRDescription(prDescription, diffData.currentBranch, outputDir);
-                        saveSpinner.succeed(`File saved: ${chalk.green(filePath)}`);
-                        console.log(chalk.cyan('\n💡 Tip: You can copy the file content for your PR.\n'));
-                    } catch (error) {
-                        saveSpinner.fail('Error saving file');
-                        console.log(chalk.red(`\n❌ ${error.message}\n`));
-                    }
-                }
-                continueLoop = false;
-                break;
+    // One failing branch does not stop the others; Ctrl+C stops them all
+    const failed = [];
+    for (const branch of branches) {
+        log(chalk.cyan(`\n━━ ${branch} ━━`));
+        try {
+            await generatePRDescription({
+                baseBranch,
+                outputDir,
+                dryRun,
+                stream: false,
+                summarize: config.get('summarize'),
+                nonInteractive: true,
+                toStdout: false,
+                format,
+                template,
+                create: false,
+                update,
+                head: branch,
+                skipFetch: true
+            });
+        } catch (error) {
+            if (error.exitCode === EXIT_CODES.CANCELLED) {
+                throw error;
+            }
+            if (!error.reported) {
+                log(chalk.red(`\n❌ ${error.message}\n`));
+            }
+            failed.push({ branch, exitCode: error.exitCode || EXIT_CODES.ERROR });
+        }
+    }
 
-            case 'regenerate':
-                console.log(chalk.cyan('\n🔄 Generating new description...\n'));
-                break;
+    if (failed.length > 0) {
+        log(chalk.red(`\n❌ ${t('stack.failed', { count: failed.length, total: branches.length, branches: failed.map(entry => entry.branch).join(', ') })}\n`));
+        // A shared cause keeps its exit code; mixed failures are a plain error
+        const codes = new Set(failed.map(entry => entry.exitCode));
+        throw exitError(codes.size === 1 ? failed[0].exitCode : EXIT_CODES.ERROR);
+    }
 
-            case 'edit':
-                const { editedTitle } = await inquirer.prompt([
-                    {
-                        type: 'input',
-                        name: 'editedTitle',
-                        message: 'Edit the PR title:',
-                        default: diffData.currentBranch.replace(/[-_]/g, ' ')
-                    }
-                ]);
+    log(chalk.green(`\n✅ ${t('stack.done', { count: branches.length })}\n`));
+}
 
-                const finalDescription = prDescription.replace(/^# .+$/m, `# ${editedTitle}`);
+// ============================================
+// CLI MESSAGES (i18n)
+// ============================================
 
-                if (!dryRun) {
-                    const editSaveSpinner = ora('Saving file...').start();
-                    try {
-                        const filePath = savePRDescription(finalDescription, diffData.currentBranch, outputDir);
-                        editSaveSpinner.succeed(`File saved: ${chalk.green(filePath)}`);
-                    } catch (error) {
-                        editSaveSpinner.fail('Error saving file');
-                        console.log(chalk.red(`\n❌ ${error.message}\n`));
-                    }
-                } else {
-                    console.log(chalk.yellow('\n🏃 Dry-run: description NOT saved.\n'));
-                }
-                continueLoop = false;
-                break;
+// Interface messages per locale, separate from OUTPUT_LANGUAGES (the text of
+// the generated description). {name} placeholders are filled by t(); keys
+// with ".one"/".other" variants are picked by the `count` parameter.
+// Missing keys fall back to English. Every command and subcommand prints
+// through t(); error details passed through from git, model servers and
+// forges, and the [DEBUG] output, stay in English.
+const MESSAGES = {
+    en: {
+        'cli.description': '🚀 CLI to generate PR descriptions using local AI (Ollama or OpenAI-compatible servers)',
+        'cli.version': 'output the version number',
+        'cli.help': 'display help for command',
+        'cli.setProvider': 'Set the LLM provider ({providers})',
+        'cli.setModel': 'Set the model to use (interactive if omitted)',
+        'cli.setPort': 'Set the Ollama port',
+        'cli.setHost': 'Set the Ollama URL (e.g. http://gpu-box:11434 or https://host/ollama)',
+        'cli.setAuthHeader': 'Set a header sent to Ollama, as "Name: value" (empty string to clear)',
+        'cli.setApiUrl': 'Set the base URL of the OpenAI-compatible server (e.g. http://localhost:8080/v1)',
+        'cli.setBase': 'Set the base branch for comparison, or auto to detect it (default: auto)',
+        'cli.setOutput': 'Set output directory for PR files',
+        'cli.setTemplate': 'Set the markdown template: default, repo (fill the repository PR template) or a file path',
+        'cli.setLanguage': 'Set the language of the generated description (e.g. en, es)',
+        'cli.setLocale': 'Set the language of the CLI messages: auto (from LANG), {locales}',
+        'cli.setStream': 'Enable or disable streaming generation by default',
+        'cli.setSummarize': 'Enable or disable map-reduce summarization of large diffs by default',
+        'cli.setContextBudget': 'Set how many diff characters the current model gets per call',
+        'cli.showConfig': 'Show current configuration',
+        'cli.listModels': 'List available models in the configured provider',
+        'cli.addExclude': 'Add file to exclusion list',
+        'cli.removeExclude': 'Remove file from exclusion list',
+        'cli.listExcludes': 'List excluded files',
+        'cli.resetExcludes': 'Reset exclusion list to defaults',
+        'cli.explainExclude': 'Show which exclusion rule applies to a path',
+        'cli.base': 'Base branch for this run (not saved)',
+        'cli.output': 'Output directory for this run (not saved)',
+        'cli.dryRun': 'Only show description without saving file',
+        'cli.yes': 'Accept the first generated description without prompting',
+        'cli.nonInteractive': 'Alias of --yes, for CI and git hooks',
+        'cli.stdout': 'Print the description to stdout instead of saving a file (implies --yes)',
+        'cli.format': 'Output format: markdown or json (default: markdown)',
+        'cli.template': 'Markdown template for this run: default, repo or a file path',
+        'cli.language': 'Language of the description for this run (e.g. en, es)',
+        'cli.create': 'Push the branch and open the PR/MR on GitHub, GitLab or Gitea once accepted',
+        'cli.update': 'Regenerate and update the description of the open PR/MR for this branch',
+        'cli.staged': 'Describe the staged changes instead of the branch',
+        'cli.workingTree': 'Describe all uncommitted changes instead of the branch',
+        'cli.range': 'Describe a commit range (A..B or A...B) instead of the branch',
+        'cli.timings': 'Report how long each phase (fetch, git, summarization, generation) took',
+        'cli.noStack': 'Compare against the base branch even when the branch is stacked on another one',
+        'cli.noCache': 'Always call the model, even if a description was already generated for the same changes',
+        'cli.showPrompt': 'Print the assembled prompt for the current changes without calling the model',
+        'cli.stream': 'Stream the response with a live token preview (this run only)',
+        'cli.noStream': 'Wait for the full response without streaming (this run only)',
+        'cli.summarize': 'Summarize large diffs file by file before generating (this run only)',
+        'cli.noSummarize': 'Truncate large diffs instead of summarizing them (this run only)',
+        'cli.debug': 'Enable debug mode',
+        'cli.commit.description': 'Generate a Conventional Commits message for the staged changes',
+        'cli.commit.yes': 'Commit with the first generated message without prompting',
+        'cli.commit.stdout': 'Print the message instead of committing (implies --yes)',
+        'cli.commit.dryRun': 'Show the message without committing',
+        'cli.commit.messageFile': 'Write the message to a commit message file (used by the git hook)',
+        'cli.commit.installHook': 'Install a prepare-commit-msg hook that fills in the message on "git commit"',
+        'cli.commit.uninstallHook': 'Remove the prepare-commit-msg hook installed by mkpr',
+        'cli.stack.description': 'Regenerate the descriptions of every branch in the current stack',
+        'cli.stack.base': 'Base branch the stack is built on (default: configured or detected)',
+        'cli.stack.output': 'Output directory for the description files',
+        'cli.stack.template': 'Markdown template: default, repo or a file path',
+        'cli.stack.update': 'Update the open PR/MR of each branch instead of saving files',
+        'cli.stack.dryRun': 'Generate without saving files or updating PRs',
+        'cli.stack.yes': 'Do not ask for confirmation',
+        'cli.prompt.description': 'Manage the prompt files that customize instructions, conventions and examples',
+        'cli.prompt.init': 'Create a starter prompt file (.mkpr-prompt.md at the repository root)',
+        'cli.prompt.importExamples': 'Add the last n merged PRs/MRs (default: 3) as style examples',
+        'cli.prompt.global': 'Use the global prompt file instead of the repository one',
+        'cli.history.description': 'Browse, restore and compare the descriptions generated for a branch (default: current)',
+        'cli.history.list': 'Only list the generations, without prompting',
+        'cli.history.show': 'Print generation n (1 is the latest)',
+        'cli.history.restore': 'Save generation n as the description file',
+        'cli.history.compare': 'Diff two generations, or one against the latest',
+        'cli.history.clear': 'Delete the history of the branch',
+        'cli.history.output': 'Output directory for --restore',
+        'cli.history.stdout': 'With --restore, print the description instead of saving a file',
+        'cli.changelog.description': 'Summarize the PRs merged in a range into a CHANGELOG.md section',
+        'cli.changelog.from': 'Start of the range (default: the latest tag)',
+        'cli.changelog.to': 'End of the range',
+        'cli.changelog.release': 'Release heading (default: the --to tag, or Unreleased)',
+        'cli.changelog.output': 'Changelog file (default: CHANGELOG.md at the repository root)',
+        'cli.changelog.yes': 'Write the first generated section without prompting',
+        'cli.changelog.stdout': 'Print the section instead of writing the file (implies --yes)',
+        'cli.changelog.dryRun': 'Show the section without writing the file',
+        'locale.set': 'Interface language set to: {locale}',
+        'locale.invalid': 'Invalid locale. Available: {locales}',
+
+        'common.enabled': 'enabled',
+        'common.disabled': 'disabled',
+        'common.cancelled': 'Operation cancelled.',
+        'common.generationCancelled': 'Generation cancelled',
+        'common.or': 'or',
+        'timings.title': 'Timings:',
+        'request.cancelled': 'Request cancelled.',
+        'request.timeout': 'Request timeout after {seconds}s. The model may be too slow or the model server is unresponsive.',
+        'request.idle': 'No tokens received for {seconds}s. The model server seems unresponsive.',
+        'provider.unknown': 'Unknown provider "{name}". Available: {providers}',
+        'prompt.exampleInvalidJson': '{source}: example skipped, invalid JSON ({message})',
+        'prompt.exampleInvalid': '{source}: example skipped, {errors}',
+        'template.elseOutside': 'Template error: {{else}} outside of a block',
+        'template.unexpected': 'Template error: unexpected {tag}',
+        'template.unclosed': 'Template error: unclosed {tag}',
+        'template.notFound': 'Template not found: {path}',
+        'template.notFunction': 'Template {path} must export a function (data) => string',
+        'template.untrustedScript': 'Template {path} is a script set by {file}; repository settings cannot run code. Pass it with --template {name} to run it.',
+        'git.noBranch': 'Could not get current branch.',
+        'git.noRoot': 'Could not get the repository root.',
+        'git.baseNotFound': "Base branch '{branch}' not found. Verify it exists or use --base to specify another.",
+        'git.oneSource': 'Use only one of --staged, --working-tree and --range.',
+        'git.invalidRange': 'Invalid range "{range}". Use A..B or A...B.',
+        'git.invalidRevision': 'Invalid revision in range: "{revision}"',
+        'git.revisionNotFound': "Revision '{revision}' not found.",
+        'git.notRepo': 'You are not in a git repository. Run this command from within a git project.',
+        'git.tooLarge': 'The diff is too large. Consider splitting the PR.',
+        'diff.noChanges': '(no changes)',
+        'forge.undetected': 'Could not detect GitHub, GitLab or Gitea from the origin remote. Set MKPR_FORGE to github, gitlab or gitea.',
+        'forge.missingToken': 'Missing {label} token. Export {vars}.',
+
+        'excludes.title': 'Files excluded from analysis',
+        'excludes.none': '(none)',
+        'excludes.default': '(default)',
+        'excludes.builtIn': 'Built-in patterns (re-include with "!pattern"):',
+        'excludes.line': '(line {line})',
+
+        'config.title': 'Current configuration:',
+        'config.provider': 'Provider:',
+        'config.ollamaUrl': 'Ollama URL:',
+        'config.authHeader': 'Auth header:',
+        'config.valueHidden': '(value hidden)',
+        'config.apiUrl': 'API URL:',
+        'config.model': 'Model:',
+        'config.baseBranch': 'Base branch:',
+        'config.outputDir': 'Output directory:',
+        'config.template': 'Template:',
+        'config.language': 'Language:',
+        'config.locale': 'Interface:',
+        'config.localeAuto': 'auto ({locale} from the environment)',
+        'config.contextBudget': 'Context budget:',
+        'config.chars': '{count} chars',
+        'config.summarize': 'Summarize diffs:',
+        'config.stream': 'Streaming:',
+        'config.debug': 'Debug:',
+        'config.excludedFiles': 'Excluded files:',
+        'config.fileCount': '{count} files',
+        'config.globalFile': 'Global config:',
+        'config.repoFile': 'Repository config:',
+
+        'models.loading': 'Getting model list...',
+        'models.none': 'No models available in {provider}.',
+        'models.pullHint': 'Run: ollama pull <model> to download one.',
+        'models.loadHint': 'Load a model in your server and try again.',
+        'models.title': 'Available models in {provider}:',
+        'models.current': '← current',
+        'models.connectionError': 'Error connecting to the model server',
+        'models.serverHint': 'Make sure the model server is running.',
+
+        'base.notDetected': 'Could not detect the base branch (tried origin/HEAD, {candidates}). Use --base to specify it.',
+        'base.distance.one': '{count} commit since merge-base',
+        'base.distance.other': '{count} commits since merge-base',
+        'base.originDefault': 'origin default',
+        'base.detected': 'Detected base branch:',
+        'base.prompt': 'Base branch:',
+        'base.other': 'Other...',
+        'base.promptName': 'Base branch name:',
+        'base.invalid': 'Invalid branch name',
+        'base.notFound': 'Branch \'{branch}\' not found',
+
+        'update.changes': 'Changes to {label} {requestName} #{number}:',
+        'update.title': 'Title:',
+        'update.prompt': 'Update {requestName} #{number}?',
+        'update.update': 'Update',
+        'update.updateDryRun': 'Update (dry-run, will not patch)',
+        'update.dryRun': 'Dry-run: {requestName} NOT updated.',
+        'update.updating': 'Updating {requestName}...',
+        'update.failed': 'Could not update {requestName}',
+        'update.updated': '{label} {requestName} #{number} updated: {url}',
+
+        'edit.prompt': 'What do you want to edit?',
+        'edit.full': 'Full description',
+        'edit.opensEditor': '(opens $EDITOR)',
+        'edit.title': 'Title',
+        'edit.type': 'Type',
+        'edit.summary': 'Summary',
+        'edit.changes': 'Changes',
+        'edit.breakingChanges': 'Breaking changes',
+        'edit.testing': 'Testing',
+        'edit.notes': 'Notes',
+        'edit.back': 'Back',
+        'edit.fullPrompt': 'Edit the full description:',
+        'edit.emptyDescription': 'The description cannot be empty',
+        'edit.missingPr': 'Missing the "pr" object',
+        'edit.invalidJson': 'Invalid JSON: {message}',
+        'edit.discarded': '{message}; edit discarded.',
+        'edit.titlePrompt': 'PR title:',
+        'edit.emptyTitle': 'The title cannot be empty',
+        'edit.typePrompt': 'PR type:',
+        'edit.changesPrompt': 'Edit changes (one per line):',
+        'edit.breakingChangesPrompt': 'Edit breaking changes (one per line):',
+        'edit.summaryPrompt': 'Edit summary:',
+        'edit.testingPrompt': 'Edit testing:',
+        'edit.notesPrompt': 'Edit notes:',
+        'edit.emptySummary': 'The summary cannot be empty',
+
+        'pr.dryRunNotCreated': 'Dry-run: pull request NOT created.',
+        'pr.creating': 'Creating pull request...',
+        'pr.pushed': 'Pushed {branch} to origin',
+        'pr.created': '{label} {requestName} #{number} created: {url}',
+        'pr.createError': 'Error creating pull request',
+        'pr.analyzing': 'Analyzing differences with base branch...',
+        'pr.fetching': 'Getting latest changes from origin...',
+        'pr.fetched': 'Repository updated',
+        'pr.fetchFailed': 'Could not fetch: {message}',
+        'pr.fetchOutdated': 'Continuing with local data, but results may be outdated.',
+        'pr.fetchWarning': 'Could not fetch ({message}), continuing with local data',
+        'pr.lookingUp': 'Looking for the open pull request...',
+        'pr.lookupError': 'Error looking for the pull request',
+        'pr.notFound': 'No open {label} {requestName} found for this branch',
+        'pr.createHint': 'Use --create to open one.',
+        'pr.found': 'Found {label} {requestName} #{number}: {url}',
+        'pr.stacked': 'Stacked on {parent}, which is not merged into {base} yet',
+        'pr.prBase': 'Comparing against the PR\'s base branch: {base}',
+        'pr.noDiff': 'No differences with base branch.',
+        'pr.upToDate': 'Your branch is up to date with {base}.',
+        'pr.noDiffSource': 'No differences: no {description}.',
+        'pr.currentBranch': 'Current branch:',
+        'pr.baseBranch': 'Base branch:',
+        'pr.comparing': 'Comparing:',
+        'pr.commits': 'Commits:',
+        'pr.files': 'Files:',
+        'pr.excludedCount': '({count} excluded)',
+        'pr.modifiedFiles': 'Modified files:',
+        'pr.moreFiles': '... and {count} more files',
+        'pr.excluded': 'Excluded from analysis ({count}):',
+        'pr.more': '... and {count} more',
+        'pr.usingTemplate': 'Using template: {path}',
+        'pr.noRepoTemplate': 'No PR template found in the repository, using the built-in format.',
+        'pr.promptSummarized': 'The diff exceeds the context budget: with summarization the model gets per-file summaries instead of the truncated diff below.',
+        'pr.promptFiles': 'Prompt files: {files}',
+        'pr.promptFilesNone': 'none (built-in prompt)',
+        'pr.cached': 'Reusing the description generated on {date} with {model} (--no-cache to generate a new one)',
+        'pr.summarizing': 'Diff exceeds the context budget ({size} > {budget} chars), summarizing files...',
+        'pr.summarizingProgress': 'Summarizing changes: {done}/{total}...',
+        'pr.summarizingPass': 'Summarizing changes (reduce pass {level}): {done}/{total}...',
+        'pr.summarized': 'Summarized {files} files in {calls} model calls',
+        'pr.summarizationCancelled': 'Summarization cancelled',
+        'pr.summarizeFailed': 'Could not summarize ({message}), falling back to truncated diff',
+        'pr.generating': 'Generating description with {model}...',
+        'pr.refining': 'Refining description with {model}...',
+        'pr.tokens': '{count} tokens',
+        'pr.retrying': 'invalid response, asking again ({attempt}/{max})',
+        'pr.generated': 'Description generated',
+        'pr.generateError': 'Error generating description',
+        'pr.parseHint': 'The model did not return a valid PR description. Try again or use another model.',
+        'pr.providerHint': 'Verify that {provider} is running and the model is available.',
+        'pr.updateError': 'Error updating the pull request: {message}',
+        'pr.regenerating': 'Generating new description...',
+        'pr.dryRunNotSaved': 'Dry-run: description NOT saved.',
+        'pr.fileSaved': 'File saved: {path}',
+        'pr.proposed': 'Proposed PR description:',
+        'pr.saving': 'Saving file...',
+        'pr.saveTip': 'Tip: You can copy the file content for your PR.',
+        'pr.saveError': 'Error saving file',
+        'pr.refinePrompt': 'What should change? (e.g. "shorter summary", "it\'s a fix, not a feature")',
+        'pr.refiningNotice': 'Refining description...',
+        'pr.editsDropped': 'Re-rendered from the fields; earlier edits to the full text were dropped.',
+        'pr.copied': 'Copied to clipboard!',
+        'pr.copyFailed': 'Could not copy to clipboard. Save the file instead.',
+        'pr.clipboardUnavailable': 'Clipboard not available on this system.',
+        'pr.regeneratingModel': 'Regenerating description with new model...',
+
+        'menu.prompt': 'What would you like to do?',
+        'menu.accept': 'Accept and save file',
+        'menu.acceptDryRun': 'Accept (dry-run, will not save)',
+        'menu.acceptCreate': 'Accept, save file and create pull request',
+        'menu.regenerate': 'Generate another description',
+        'menu.refine': 'Refine with instructions',
+        'menu.edit': 'Edit description',
+        'menu.copy': 'Copy to clipboard',
+        'menu.create': 'Create {requestName} on {label}',
+        'menu.changeModel': 'Change model',
+        'menu.cancel': 'Cancel',
+        'config.overridden': '"{key}" is overridden by {file} in this repository; the global value was updated.',
+        'config.ignoredFile': 'Ignoring {file}: {message}',
+        'config.unsupported': '{file}: unsupported setting "{key}" ignored',
+        'config.invalidValue': '{file}: invalid value for "{key}" ignored',
+        'parse.fallback': 'Could not parse JSON, using fallback...',
+        'parse.failed': 'Could not parse the model response: {errors}',
+        'common.notGitRepo': 'You are not in a git repository.',
+        'common.invalidFormat': 'Invalid format "{format}". Available: {formats}',
+
+        'set.invalidPort': 'Invalid port. Must be a number between 1 and 65535.',
+        'set.port': 'Port set to: {port}',
+        'set.invalidOllamaUrl': 'Invalid Ollama URL: "{url}"',
+        'set.invalidOllamaScheme': 'Invalid Ollama URL: "{url}". Only http and https are supported.',
+        'set.ollamaUrl': 'Ollama URL set to: {url}',
+        'set.authCleared': 'Auth header cleared',
+        'set.invalidHeader': 'Invalid header. Use the form "Name: value", e.g. "Authorization: Bearer <token>".',
+        'set.authSet': 'Auth header set',
+        'set.invalidProvider': 'Invalid provider. Available: {providers}',
+        'set.provider': 'Provider set to: {provider}',
+        'set.invalidUrl': 'Invalid URL. Must start with http:// or https://',
+        'set.apiUrl': 'API URL set to: {url}',
+        'set.invalidBranch': 'Invalid branch name: "{branch}"',
+        'set.base': 'Base branch set to: {branch}',
+        'set.output': 'Output directory set to: {dir}',
+        'set.template': 'Template set to: {template}',
+        'set.invalidLanguage': 'Invalid language "{code}". Use a code such as en or es.',
+        'set.language': 'Language set to: {language} ({name})',
+        'set.noCatalog': 'No catalog for "{language}": the model writes in {name}, headings stay in English.',
+        'set.invalidOnOff': 'Invalid value. Use "on" or "off".',
+        'set.stream': 'Streaming {state}',
+        'set.summarize': 'Large diff summarization {state}',
+        'set.invalidBudget': 'Invalid budget. Must be a number of characters (at least 1000).',
+        'set.budget': 'Context budget for {model} set to: {budget} chars',
+        'run.invalidBase': 'Invalid base branch name: "{branch}"',
+        'run.createAndUpdate': '--create and --update cannot be used together.',
+        'run.branchOnly': '--create and --update only work on the branch diff, not with --staged, --working-tree or --range.',
+
+        'excludes.alreadyAdded': '"{file}" is already in the exclusion list.',
+        'excludes.added': 'Added to exclusions: {file}',
+        'excludes.notListed': '"{file}" is not in the exclusion list.',
+        'excludes.listHint': 'Use --list-excludes to see the current list.',
+        'excludes.removed': 'Removed from exclusions: {file}',
+        'excludes.reset': 'Exclusion list reset to defaults.',
+        'excludes.excluded': '{path} is excluded',
+        'excludes.analyzed': '{path} is analyzed',
+        'excludes.matchedBy': 'matched by {pattern}',
+        'excludes.reincludedBy': 're-included by {pattern}',
+        'excludes.noRule': 'No rule matches this path.',
+
+        'models.verifying': 'Verifying model...',
+        'models.set': 'Model set to: {model}',
+        'models.notFound': 'Model not found',
+        'models.notAvailable': 'Model "{model}" is not available.',
+        'models.available': 'Available models:',
+        'models.verifyError': 'Error verifying model',
+        'models.loadingAvailable': 'Getting available models...',
+        'models.select': 'Select the model:',
+        'models.changed': 'Model changed to: {model}',
+        'models.loadError': 'Error getting models',
+
+        'commit.noStaged': 'No staged changes. Stage files with "git add" first.',
+        'commit.generating': 'Generating commit message with {model}...',
+        'commit.generated': 'Commit message generated',
+        'commit.generateError': 'Error generating commit message',
+        'commit.dryRun': 'Dry-run: nothing committed.',
+        'commit.proposed': 'Proposed commit message:',
+        'commit.accept': 'Commit with this message',
+        'commit.acceptDryRun': 'Accept (dry-run, will not commit)',
+        'commit.regenerate': 'Generate another message',
+        'commit.edit': 'Edit message',
+        'commit.editPrompt': 'Edit the commit message:',
+        'commit.empty': 'Empty message, nothing committed.',
+        'commit.regenerating': 'Generating new message...',
+        'commit.regeneratingModel': 'Regenerating message with new model...',
+        'commit.hookInstalled': 'Hook installed: {path}',
+        'commit.hookHint': '"git commit" now opens the editor with a generated message.',
+        'commit.hookRemoved': 'Hook removed: {path}',
+        'commit.noHook': 'No prepare-commit-msg hook installed.',
+        'commit.hookExists': 'A prepare-commit-msg hook already exists at {path}. Remove it or call "mkpr commit --message-file" from it.',
+        'commit.hooksDisabled': 'Git hooks are disabled in this repository (core.hooksPath is {path}).',
+        'commit.foreignHook': 'The prepare-commit-msg hook at {path} was not installed by mkpr.',
+
+        'changelog.noTag': 'No tag found before the end of the range. Use --from to set where the changelog starts.',
+        'changelog.range': 'Changes from {from} to {to}',
+        'changelog.noChanges': 'No changes in this range.',
+        'changelog.entries': 'Entries: {count}',
+        'changelog.merged': '({count} merged PRs)',
+        'changelog.summarizing': 'Summarizing with {model}...',
+        'changelog.summarizingSection': 'Summarizing "{heading}" ({count} entries)...',
+        'changelog.generated': 'Changelog generated',
+        'changelog.dryRun': 'Dry-run: changelog NOT written.',
+        'changelog.updated': 'File updated: {path}',
+        'changelog.proposed': 'Proposed changelog section:',
+        'changelog.write': 'Write to {path}',
+        'changelog.acceptDryRun': 'Accept (dry-run, will not write)',
+        'changelog.regenerate': 'Generate again',
+        'changelog.regenerating': 'Generating again...',
+
+        'prompt.needsRepo': 'You are not in a git repository. Use --global for the global prompt file.',
+        'prompt.created': 'Prompt file created: {path}',
+        'prompt.exists': '{path} already exists.',
+        'prompt.invalidCount': '--import-examples takes a positive number of pull requests.',
+        'prompt.fetching': 'Fetching the last {count} merged {requestName}s from {label}...',
+        'prompt.found': 'Found {count} merged {requestName}s',
+        'prompt.added.one': 'Added {count} example to {path}',
+        'prompt.added.other': 'Added {count} examples to {path}',
+        'prompt.noNew': 'No new examples (already imported, or without a description).',
+        'prompt.title': 'Prompt files:',
+        'prompt.global': 'Global:',
+        'prompt.repo': 'Repository:',
+        'prompt.notFound': '(not found)',
+        'prompt.instructions': 'Instructions:',
+        'prompt.conventions': 'Conventions:',
+        'prompt.examples': 'Examples:',
+        'prompt.pastPrs': 'Past PRs:',
+        'prompt.customInstructions': 'custom',
+        'prompt.builtInInstructions': 'built-in',
+        'prompt.builtInExamples': 'built-in',
+        'prompt.yes': 'yes',
+        'prompt.none': 'none',
+        'prompt.showHint': 'mkpr --show-prompt prints the assembled prompt for the current changes.',
+
+        'history.refined': '(refined {count}x)',
+        'history.cleared': 'History of {branch} cleared.',
+        'history.noHistory': 'No history recorded for {branch}.',
+        'history.empty': 'No generations recorded for {branch}.',
+        'history.noEntry': 'No generation #{number} (history has 1-{count}).',
+        'history.restored': 'Restored generation from {date}: {path}',
+        'history.title': 'Generations for {branch} ({count}):',
+        'history.select': 'Select a generation:',
+        'history.exit': 'Exit',
+        'history.view': 'View',
+        'history.restore': 'Restore (save as the description file)',
+        'history.compare': 'Compare with another generation',
+        'history.compareWith': 'Compare with:',
+        'history.compareCount': '--compare takes one or two generation numbers.',
+
+        'stack.notStacked': '{branch} is not part of a stack: no unmerged branch below or above it.',
+        'stack.title': 'Stack on {base}:',
+        'stack.on': '(on {parent})',
+        'stack.missing.one': 'No open PR for {branches}; skipping it.',
+        'stack.missing.other': 'No open PR for {branches}; skipping them.',
+        'stack.confirmUpdate': 'Regenerate and update the PRs of {count} branches?',
+        'stack.confirm': 'Regenerate the descriptions of {count} branches?',
+        'stack.done': 'Regenerated {count} descriptions.',
+        'stack.failed.one': '{count} of {total} branches failed: {branches}',
+        'stack.failed.other': '{count} of {total} branches failed: {branches}'
+    },
+    es: {
+        'cli.description': '🚀 CLI para generar descripciones de PR con IA local (Ollama o servidores compatibles con OpenAI)',
+        'cli.version': 'muestra el número de versión',
+        'cli.help': 'muestra la ayuda del comando',
+        'cli.setProvider': 'Define el proveedor de LLM ({providers})',
+        'cli.setModel': 'Define el modelo a usar (interactivo si se omite)',
+        'cli.setPort': 'Define el puerto de Ollama',
+        'cli.setHost': 'Define la URL de Ollama (p. ej. http://gpu-box:11434 o https://host/ollama)',
+        'cli.setAuthHeader': 'Define una cabecera enviada a Ollama, como "Nombre: valor" (cadena vacía para borrarla)',
+        'cli.setApiUrl': 'Define la URL base del servidor compatible con OpenAI (p. ej. http://localhost:8080/v1)',
+        'cli.setBase': 'Define la rama base para comparar, o auto para detectarla (por defecto: auto)',
+        'cli.setOutput': 'Define el directorio de salida de los archivos de PR',
+        'cli.setTemplate': 'Define la plantilla markdown: default, repo (rellena la plantilla de PR del repositorio) o la ruta de un archivo',
+        'cli.setLanguage': 'Define el idioma de la descripción generada (p. ej. en, es)',
+        'cli.setLocale': 'Define el idioma de los mensajes de la CLI: auto (según LANG), {locales}',
+        'cli.setStream': 'Activa o desactiva por defecto la generación en streaming',
+        'cli.setSummarize': 'Activa o desactiva por defecto el resumen map-reduce de los diffs grandes',
+        'cli.setContextBudget': 'Define cuántos caracteres del diff recibe el modelo actual por llamada',
+        'cli.showConfig': 'Muestra la configuración actual',
+        'cli.listModels': 'Lista los modelos disponibles en el proveedor configurado',
+        'cli.addExclude': 'Añade un archivo a la lista de exclusión',
+        'cli.removeExclude': 'Quita un archivo de la lista de exclusión',
+        'cli.listExcludes': 'Lista los archivos excluidos',
+        'cli.resetExcludes': 'Restablece la lista de exclusión a los valores por defecto',
+        'cli.explainExclude': 'Muestra qué regla de exclusión se aplica a una ruta',
+        'cli.base': 'Rama base para esta ejecución (no se guarda)',
+        'cli.output': 'Directorio de salida para esta ejecución (no se guarda)',
+        'cli.dryRun': 'Solo muestra la descripción, sin guardar el archivo',
+        'cli.yes': 'Acepta la primera descripción generada sin preguntar',
+        'cli.nonInteractive': 'Alias de --yes, para CI y hooks de git',
+        'cli.stdout': 'Imprime la descripción en stdout en lugar de guardar un archivo (implica --yes)',
+        'cli.format': 'Formato de salida: markdown o json (por defecto: markdown)',
+        'cli.template': 'Plantilla markdown para esta ejecución: default, repo o la ruta de un archivo',
+        'cli.language': 'Idioma de la descripción para esta ejecución (p. ej. en, es)',
+        'cli.create': 'Sube la rama y abre el PR/MR en GitHub, GitLab o Gitea al aceptar',
+        'cli.update': 'Regenera y actualiza la descripción del PR/MR abierto de esta rama',
+        'cli.staged': 'Describe los cambios preparados (staged) en lugar de la rama',
+        'cli.workingTree': 'Describe todos los cambios sin confirmar en lugar de la rama',
+        'cli.range': 'Describe un rango de commits (A..B o A...B) en lugar de la rama',
+        'cli.timings': 'Informa de cuánto tardó cada fase (fetch, git, resumen, generación)',
+        'cli.noStack': 'Compara con la rama base aunque la rama esté apilada sobre otra',
+        'cli.noCache': 'Llama siempre al modelo, aunque ya se haya generado una descripción para los mismos cambios',
+        'cli.showPrompt': 'Imprime el prompt completo para los cambios actuales sin llamar al modelo',
+        'cli.stream': 'Recibe la respuesta en streaming con vista previa de los tokens (solo esta ejecución)',
+        'cli.noStream': 'Espera la respuesta completa sin streaming (solo esta ejecución)',
+        'cli.summarize': 'Resume los diffs grandes archivo por archivo antes de generar (solo esta ejecución)',
+        'cli.noSummarize': 'Recorta los diffs grandes en lugar de resumirlos (solo esta ejecución)',
+        'cli.debug': 'Activa el modo depuración',
+        'cli.commit.description': 'Genera un mensaje Conventional Commits para los cambios preparados',
+        'cli.commit.yes': 'Hace el commit con el primer mensaje generado sin preguntar',
+        'cli.commit.stdout': 'Imprime el mensaje en lugar de hacer el commit (implica --yes)',
+        'cli.commit.dryRun': 'Muestra el mensaje sin hacer el commit',
+        'cli.commit.messageFile': 'Escribe el mensaje en un archivo de mensaje de commit (lo usa el hook de git)',
+        'cli.commit.installHook': 'Instala un hook prepare-commit-msg que rellena el mensaje al hacer "git commit"',
+        'cli.commit.uninstallHook': 'Elimina el hook prepare-commit-msg instalado por mkpr',
+        'cli.stack.description': 'Regenera las descripciones de todas las ramas de la pila actual',
+        'cli.stack.base': 'Rama base sobre la que se construye la pila (por defecto: la configurada o detectada)',
+        'cli.stack.output': 'Directorio de salida de los archivos de descripción',
+        'cli.stack.template': 'Plantilla markdown: default, repo o la ruta de un archivo',
+        'cli.stack.update': 'Actualiza el PR/MR abierto de cada rama en lugar de guardar archivos',
+        'cli.stack.dryRun': 'Genera sin guardar archivos ni actualizar PRs',
+        'cli.stack.yes': 'No pide confirmación',
+        'cli.prompt.description': 'Gestiona los archivos de prompt que personalizan instrucciones, convenciones y ejemplos',
+        'cli.prompt.init': 'Crea un archivo de prompt inicial (.mkpr-prompt.md en la raíz del repositorio)',
+        'cli.prompt.importExamples': 'Añade los últimos n PRs/MRs fusionados (por defecto: 3) como ejemplos de estilo',
+        'cli.prompt.global': 'Usa el archivo de prompt global en lugar del del repositorio',
+        'cli.history.description': 'Explora, restaura y compara las descripciones generadas para una rama (por defecto: la actual)',
+        'cli.history.list': 'Solo lista las generaciones, sin preguntar',
+        'cli.history.show': 'Imprime la generación n (1 es la más reciente)',
+        'cli.history.restore': 'Guarda la generación n como archivo de descripción',
+        'cli.history.compare': 'Compara dos generaciones, o una con la más reciente',
+        'cli.history.clear': 'Borra el historial de la rama',
+        'cli.history.output': 'Directorio de salida para --restore',
+        'cli.history.stdout': 'Con --restore, imprime la descripción en lugar de guardar un archivo',
+        'cli.changelog.description': 'Resume los PRs fusionados en un rango en una sección de CHANGELOG.md',
+        'cli.changelog.from': 'Inicio del rango (por defecto: la última etiqueta)',
+        'cli.changelog.to': 'Fin del rango',
+        'cli.changelog.release': 'Título de la versión (por defecto: la etiqueta de --to, o Unreleased)',
+        'cli.changelog.output': 'Archivo de changelog (por defecto: CHANGELOG.md en la raíz del repositorio)',
+        'cli.changelog.yes': 'Escribe la primera sección generada sin preguntar',
+        'cli.changelog.stdout': 'Imprime la sección en lugar de escribir el archivo (implica --yes)',
+        'cli.changelog.dryRun': 'Muestra la sección sin escribir el archivo',
+        'locale.set': 'Idioma de la interfaz: {locale}',
+        'locale.invalid': 'Idioma de interfaz no válido. Disponibles: {locales}',
+
+        'common.enabled': 'activado',
+        'common.disabled': 'desactivado',
+        'common.cancelled': 'Operación cancelada.',
+        'common.generationCancelled': 'Generación cancelada',
+        'common.or': 'o',
+        'timings.title': 'Tiempos:',
+        'request.cancelled': 'Petición cancelada.',
+        'request.timeout': 'La petición superó el tiempo límite de {seconds}s. El modelo puede ser demasiado lento o el servidor de modelos no responde.',
+        'request.idle': 'No se recibieron tokens en {seconds}s. El servidor de modelos parece no responder.',
+        'provider.unknown': 'Proveedor "{name}" desconocido. Disponibles: {providers}',
+        'prompt.exampleInvalidJson': '{source}: ejemplo omitido, JSON no válido ({message})',
+        'prompt.exampleInvalid': '{source}: ejemplo omitido, {errors}',
+        'template.elseOutside': 'Error de plantilla: {{else}} fuera de un bloque',
+        'template.unexpected': 'Error de plantilla: {tag} inesperado',
+        'template.unclosed': 'Error de plantilla: {tag} sin cerrar',
+        'template.notFound': 'Plantilla no encontrada: {path}',
+        'template.notFunction': 'La plantilla {path} debe exportar una función (data) => string',
+        'template.untrustedScript': 'La plantilla {path} es un script definido en {file}; los ajustes del repositorio no pueden ejecutar código. Pásala con --template {name} para ejecutarla.',
+        'git.noBranch': 'No se pudo obtener la rama actual.',
+        'git.noRoot': 'No se pudo obtener la raíz del repositorio.',
+        'git.baseNotFound': "No se encontró la rama base '{branch}'. Comprueba que existe o usa --base para indicar otra.",
+        'git.oneSource': 'Usa solo una de --staged, --working-tree y --range.',
+        'git.invalidRange': 'Rango "{range}" no válido. Usa A..B o A...B.',
+        'git.invalidRevision': 'Revisión no válida en el rango: "{revision}"',
+        'git.revisionNotFound': "No se encontró la revisión '{revision}'.",
+        'git.notRepo': 'No estás en un repositorio git. Ejecuta este comando dentro de un proyecto git.',
+        'git.tooLarge': 'El diff es demasiado grande. Considera dividir el PR.',
+        'diff.noChanges': '(sin cambios)',
+        'forge.undetected': 'No se pudo detectar GitHub, GitLab o Gitea a partir del remoto origin. Define MKPR_FORGE como github, gitlab o gitea.',
+        'forge.missingToken': 'Falta el token de {label}. Exporta {vars}.',
+
+        'excludes.title': 'Archivos excluidos del análisis',
+        'excludes.none': '(ninguno)',
+        'excludes.default': '(por defecto)',
+        'excludes.builtIn': 'Patrones integrados (vuelve a incluirlos con "!patrón"):',
+        'excludes.line': '(línea {line})',
+
+        'config.title': 'Configuración actual:',
+        'config.provider': 'Proveedor:',
+        'config.ollamaUrl': 'URL de Ollama:',
+        'config.authHeader': 'Cabecera de auth:',
+        'config.valueHidden': '(valor oculto)',
+        'config.apiUrl': 'URL de la API:',
+        'config.model': 'Modelo:',
+        'config.baseBranch': 'Rama base:',
+        'config.outputDir': 'Directorio de salida:',
+        'config.template': 'Plantilla:',
+        'config.language': 'Idioma:',
+        'config.locale': 'Interfaz:',
+        'config.localeAuto': 'auto ({locale} según el entorno)',
+        'config.contextBudget': 'Presupuesto de contexto:',
+        'config.chars': '{count} caracteres',
+        'config.summarize': 'Resumir diffs:',
+        'config.stream': 'Streaming:',
+        'config.debug': 'Depuración:',
+        'config.excludedFiles': 'Archivos excluidos:',
+        'config.fileCount': '{count} archivos',
+        'config.globalFile': 'Configuración global:',
+        'config.repoFile': 'Configuración del repositorio:',
+
+        'models.loading': 'Obteniendo la lista de modelos...',
+        'models.none': 'No hay modelos disponibles en {provider}.',
+        'models.pullHint': 'Ejecuta: ollama pull <modelo> para descargar uno.',
+        'models.loadHint': 'Carga un modelo en tu servidor e inténtalo de nuevo.',
+        'models.title': 'Modelos disponibles en {provider}:',
+        'models.current': '← actual',
+        'models.connectionError': 'Error al conectar con el servidor de modelos',
+        'models.serverHint': 'Asegúrate de que el servidor de modelos está en marcha.',
+
+        'base.notDetected': 'No se pudo detectar la rama base (se probó origin/HEAD, {candidates}). Usa --base para indicarla.',
+        'base.distance.one': '{count} commit desde el merge-base',
+        'base.distance.other': '{count} commits desde el merge-base',
+        'base.originDefault': 'la de origin por defecto',
+        'base.detected': 'Rama base detectada:',
+        'base.prompt': 'Rama base:',
+        'base.other': 'Otra...',
+        'base.promptName': 'Nombre de la rama base:',
+        'base.invalid': 'Nombre de rama no válido',
+        'base.notFound': 'No se encontró la rama \'{branch}\'',
+
+        'update.changes': 'Cambios en {label} {requestName} #{number}:',
+        'update.title': 'Título:',
+        'update.prompt': '¿Actualizar {requestName} #{number}?',
+        'update.update': 'Actualizar',
+        'update.updateDryRun': 'Actualizar (dry-run, no se modificará)',
+        'update.dryRun': 'Dry-run: {requestName} NO actualizado.',
+        'update.updating': 'Actualizando {requestName}...',
+        'update.failed': 'No se pudo actualizar {requestName}',
+        'update.updated': '{label} {requestName} #{number} actualizado: {url}',
+
+        'edit.prompt': '¿Qué quieres editar?',
+        'edit.full': 'Descripción completa',
+        'edit.opensEditor': '(abre $EDITOR)',
+        'edit.title': 'Título',
+        'edit.type': 'Tipo',
+        'edit.summary': 'Resumen',
+        'edit.changes': 'Cambios',
+        'edit.breakingChanges': 'Cambios incompatibles',
+        'edit.testing': 'Pruebas',
+        'edit.notes': 'Notas',
+        'edit.back': 'Volver',
+        'edit.fullPrompt': 'Edita la descripción completa:',
+        'edit.emptyDescription': 'La descripción no puede estar vacía',
+        'edit.missingPr': 'Falta el objeto "pr"',
+        'edit.invalidJson': 'JSON no válido: {message}',
+        'edit.discarded': '{message}; edición descartada.',
+        'edit.titlePrompt': 'Título del PR:',
+        'edit.emptyTitle': 'El título no puede estar vacío',
+        'edit.typePrompt': 'Tipo de PR:',
+        'edit.changesPrompt': 'Edita los cambios (uno por línea):',
+        'edit.breakingChangesPrompt': 'Edita los cambios incompatibles (uno por línea):',
+        'edit.summaryPrompt': 'Edita el resumen:',
+        'edit.testingPrompt': 'Edita las pruebas:',
+        'edit.notesPrompt': 'Edita las notas:',
+        'edit.emptySummary': 'El resumen no puede estar vacío',
+
+        'pr.dryRunNotCreated': 'Dry-run: pull request NO creado.',
+        'pr.creating': 'Creando el pull request...',
+        'pr.pushed': '{branch} subida a origin',
+        'pr.created': '{label} {requestName} #{number} creado: {url}',
+        'pr.createError': 'Error al crear el pull request',
+        'pr.analyzing': 'Analizando las diferencias con la rama base...',
+        'pr.fetching': 'Obteniendo los últimos cambios de origin...',
+        'pr.fetched': 'Repositorio actualizado',
+        'pr.fetchFailed': 'No se pudo hacer fetch: {message}',
+        'pr.fetchOutdated': 'Se continúa con los datos locales, pero los resultados pueden estar desactualizados.',
+        'pr.fetchWarning': 'No se pudo hacer fetch ({message}), se continúa con los datos locales',
+        'pr.lookingUp': 'Buscando el pull request abierto...',
+        'pr.lookupError': 'Error al buscar el pull request',
+        'pr.notFound': 'No hay ningún {requestName} de {label} abierto para esta rama',
+        'pr.createHint': 'Usa --create para abrir uno.',
+        'pr.found': 'Encontrado {label} {requestName} #{number}: {url}',
+        'pr.stacked': 'Apilada sobre {parent}, que aún no se ha fusionado en {base}',
+        'pr.prBase': 'Comparando con la rama base del PR: {base}',
+        'pr.noDiff': 'No hay diferencias con la rama base.',
+        'pr.upToDate': 'Tu rama está al día con {base}.',
+        'pr.noDiffSource': 'Sin diferencias: no hay {description}.',
+        'pr.currentBranch': 'Rama actual:',
+        'pr.baseBranch': 'Rama base:',
+        'pr.comparing': 'Comparando:',
+        'pr.commits': 'Commits:',
+        'pr.files': 'Archivos:',
+        'pr.excludedCount': '({count} excluidos)',
+        'pr.modifiedFiles': 'Archivos modificados:',
+        'pr.moreFiles': '... y {count} archivos más',
+        'pr.excluded': 'Excluidos del análisis ({count}):',
+        'pr.more': '... y {count} más',
+        'pr.usingTemplate': 'Usando la plantilla: {path}',
+        'pr.noRepoTemplate': 'No se encontró una plantilla de PR en el repositorio; se usa el formato integrado.',
+        'pr.promptSummarized': 'El diff supera el presupuesto de contexto: con el resumen activado el modelo recibe resúmenes por archivo en lugar del diff recortado de abajo.',
+        'pr.promptFiles': 'Archivos de prompt: {files}',
+        'pr.promptFilesNone': 'ninguno (prompt integrado)',
+        'pr.cached': 'Se reutiliza la descripción generada el {date} con {model} (--no-cache para generar una nueva)',
+        'pr.summarizing': 'El diff supera el presupuesto de contexto ({size} > {budget} caracteres), resumiendo archivos...',
+        'pr.summarizingProgress': 'Resumiendo cambios: {done}/{total}...',
+        'pr.summarizingPass': 'Resumiendo cambios (pasada de reducción {level}): {done}/{total}...',
+        'pr.summarized': 'Resumidos {files} archivos en {calls} llamadas al modelo',
+        'pr.summarizationCancelled': 'Resumen cancelado',
+        'pr.summarizeFailed': 'No se pudo resumir ({message}), se usa el diff recortado',
+        'pr.generating': 'Generando la descripción con {model}...',
+        'pr.refining': 'Refinando la descripción con {model}...',
+        'pr.tokens': '{count} tokens',
+        'pr.retrying': 'respuesta no válida, preguntando de nuevo ({attempt}/{max})',
+        'pr.generated': 'Descripción generada',
+        'pr.generateError': 'Error al generar la descripción',
+        'pr.parseHint': 'El modelo no devolvió una descripción de PR válida. Inténtalo de nuevo o usa otro modelo.',
+        'pr.providerHint': 'Comprueba que {provider} está en marcha y que el modelo está disponible.',
+        'pr.updateError': 'Error al actualizar el pull request: {message}',
+        'pr.regenerating': 'Generando una nueva descripción...',
+        'pr.dryRunNotSaved': 'Dry-run: descripción NO guardada.',
+        'pr.fileSaved': 'Archivo guardado: {path}',
+        'pr.proposed': 'Descripción de PR propuesta:',
+        'pr.saving': 'Guardando el archivo...',
+        'pr.saveTip': 'Consejo: puedes copiar el contenido del archivo en tu PR.',
+        'pr.saveError': 'Error al guardar el archivo',
+        'pr.refinePrompt': '¿Qué debería cambiar? (p. ej. "resumen más corto", "es un fix, no una feature")',
+        'pr.refiningNotice': 'Refinando la descripción...',
+        'pr.editsDropped': 'Se volvió a generar a partir de los campos; se descartaron las ediciones anteriores del texto completo.',
+        'pr.copied': '¡Copiado al portapapeles!',
+        'pr.copyFailed': 'No se pudo copiar al portapapeles. Guarda el archivo en su lugar.',
+        'pr.clipboardUnavailable': 'El portapapeles no está disponible en este sistema.',
+        'pr.regeneratingModel': 'Regenerando la descripción con el nuevo modelo...',
+
+        'menu.prompt': '¿Qué quieres hacer?',
+        'menu.accept': 'Aceptar y guardar el archivo',
+        'menu.acceptDryRun': 'Aceptar (dry-run, no se guardará)',
+        'menu.acceptCreate': 'Aceptar, guardar el archivo y crear el pull request',
+        'menu.regenerate': 'Generar otra descripción',
+        'menu.refine': 'Refinar con instrucciones',
+        'menu.edit': 'Editar la descripción',
+        'menu.copy': 'Copiar al portapapeles',
+        'menu.create': 'Crear {requestName} en {label}',
+        'menu.changeModel': 'Cambiar de modelo',
+        'menu.cancel': 'Cancelar',
+        'config.overridden': '"{key}" está sobrescrito por {file} en este repositorio; se actualizó el valor global.',
+        'config.ignoredFile': 'Se ignora {file}: {message}',
+        'config.unsupported': '{file}: ajuste "{key}" no admitido, se ignora',
+        'config.invalidValue': '{file}: valor no válido para "{key}", se ignora',
+        'parse.fallback': 'No se pudo interpretar el JSON, se usa la alternativa...',
+        'parse.failed': 'No se pudo interpretar la respuesta del modelo: {errors}',
+        'common.notGitRepo': 'No estás en un repositorio git.',
+        'common.invalidFormat': 'Formato "{format}" no válido. Disponibles: {formats}',
+
+        'set.invalidPort': 'Puerto no válido. Debe ser un número entre 1 y 65535.',
+        'set.port': 'Puerto establecido: {port}',
+        'set.invalidOllamaUrl': 'URL de Ollama no válida: "{url}"',
+        'set.invalidOllamaScheme': 'URL de Ollama no válida: "{url}". Solo se admiten http y https.',
+        'set.ollamaUrl': 'URL de Ollama establecida: {url}',
+        'set.authCleared': 'Cabecera de auth borrada',
+        'set.invalidHeader': 'Cabecera no válida. Usa la forma "Nombre: valor", p. ej. "Authorization: Bearer <token>".',
+        'set.authSet': 'Cabecera de auth establecida',
+        'set.invalidProvider': 'Proveedor no válido. Disponibles: {providers}',
+        'set.provider': 'Proveedor establecido: {provider}',
+        'set.invalidUrl': 'URL no válida. Debe empezar por http:// o https://',
+        'set.apiUrl': 'URL de la API establecida: {url}',
+        'set.invalidBranch': 'Nombre de rama no válido: "{branch}"',
+        'set.base': 'Rama base establecida: {branch}',
+        'set.output': 'Directorio de salida establecido: {dir}',
+        'set.template': 'Plantilla establecida: {template}',
+        'set.invalidLanguage': 'Idioma "{code}" no válido. Usa un código como en o es.',
+        'set.language': 'Idioma establecido: {language} ({name})',
+        'set.noCatalog': 'No hay catálogo para "{language}": el modelo escribe en {name}, los títulos quedan en inglés.',
+        'set.invalidOnOff': 'Valor no válido. Usa "on" u "off".',
+        'set.stream': 'Streaming {state}',
+        'set.summarize': 'Resumen de diffs grandes {state}',
+        'set.invalidBudget': 'Presupuesto no válido. Debe ser un número de caracteres (al menos 1000).',
+        'set.budget': 'Presupuesto de contexto de {model} establecido: {budget} caracteres',
+        'run.invalidBase': 'Nombre de rama base no válido: "{branch}"',
+        'run.createAndUpdate': '--create y --update no se pueden usar juntos.',
+        'run.branchOnly': '--create y --update solo funcionan con el diff de la rama, no con --staged, --working-tree o --range.',
+
+        'excludes.alreadyAdded': '"{file}" ya está en la lista de exclusión.',
+        'excludes.added': 'Añadido a las exclusiones: {file}',
+        'excludes.notListed': '"{file}" no está en la lista de exclusión.',
+        'excludes.listHint': 'Usa --list-excludes para ver la lista actual.',
+        'excludes.removed': 'Quitado de las exclusiones: {file}',
+        'excludes.reset': 'Lista de exclusión restablecida a los valores por defecto.',
+        'excludes.excluded': '{path} está excluido',
+        'excludes.analyzed': '{path} se analiza',
+        'excludes.matchedBy': 'coincide con {pattern}',
+        'excludes.reincludedBy': 'vuelve a incluirse por {pattern}',
+        'excludes.noRule': 'Ninguna regla coincide con esta ruta.',
+
+        'models.verifying': 'Verificando el modelo...',
+        'models.set': 'Modelo establecido: {model}',
+        'models.notFound': 'Modelo no encontrado',
+        'models.notAvailable': 'El modelo "{model}" no está disponible.',
+        'models.available': 'Modelos disponibles:',
+        'models.verifyError': 'Error al verificar el modelo',
+        'models.loadingAvailable': 'Obteniendo los modelos disponibles...',
+        'models.select': 'Selecciona el modelo:',
+        'models.changed': 'Modelo cambiado a: {model}',
+        'models.loadError': 'Error al obtener los modelos',
+
+        'commit.noStaged': 'No hay cambios preparados. Prepara archivos con "git add" primero.',
+        'commit.generating': 'Generando el mensaje de commit con {model}...',
+        'commit.generated': 'Mensaje de commit generado',
+        'commit.generateError': 'Error al generar el mensaje de commit',
+        'commit.dryRun': 'Dry-run: no se hizo ningún commit.',
+        'commit.proposed': 'Mensaje de commit propuesto:',
+        'commit.accept': 'Hacer el commit con este mensaje',
+        'commit.acceptDryRun': 'Aceptar (dry-run, no se hará el commit)',
+        'commit.regenerate': 'Generar otro mensaje',
+        'commit.edit': 'Editar el mensaje',
+        'commit.editPrompt': 'Edita el mensaje de commit:',
+        'commit.empty': 'Mensaje vacío, no se hizo ningún commit.',
+        'commit.regenerating': 'Generando un nuevo mensaje...',
+        'commit.regeneratingModel': 'Regenerando el mensaje con el nuevo modelo...',
+        'commit.hookInstalled': 'Hook instalado: {path}',
+        'commit.hookHint': '"git commit" ahora abre el editor con un mensaje generado.',
+        'commit.hookRemoved': 'Hook eliminado: {path}',
+        'commit.noHook': 'No hay ningún hook prepare-commit-msg instalado.',
+        'commit.hookExists': 'Ya existe un hook prepare-commit-msg en {path}. Elimínalo o llama a "mkpr commit --message-file" desde él.',
+        'commit.hooksDisabled': 'Los hooks de git están desactivados en este repositorio (core.hooksPath es {path}).',
+        'commit.foreignHook': 'El hook prepare-commit-msg de {path} no lo instaló mkpr.',
+
+        'changelog.noTag': 'No hay ninguna etiqueta antes del final del rango. Usa --from para indicar dónde empieza el changelog.',
+        'changelog.range': 'Cambios de {from} a {to}',
+        'changelog.noChanges': 'No hay cambios en este rango.',
+        'changelog.entries': 'Entradas: {count}',
+        'changelog.merged': '({count} PRs fusionados)',
+        'changelog.summarizing': 'Resumiendo con {model}...',
+        'changelog.summarizingSection': 'Resumiendo "{heading}" ({count} entradas)...',
+        'changelog.generated': 'Changelog generado',
+        'changelog.dryRun': 'Dry-run: changelog NO escrito.',
+        'changelog.updated': 'Archivo actualizado: {path}',
+        'changelog.proposed': 'Sección de changelog propuesta:',
+        'changelog.write': 'Escribir en {path}',
+        'changelog.acceptDryRun': 'Aceptar (dry-run, no se escribirá)',
+        'changelog.regenerate': 'Generar de nuevo',
+        'changelog.regenerating': 'Generando de nuevo...',
+
+        'prompt.needsRepo': 'No estás en un repositorio git. Usa --global para el archivo de prompt global.',
+        'prompt.created': 'Archivo de prompt creado: {path}',
+        'prompt.exists': '{path} ya existe.',
+        'prompt.invalidCount': '--import-examples necesita un número positivo de pull requests.',
+        'prompt.fetching': 'Obteniendo los últimos {count} {requestName}s fusionados de {label}...',
+        'prompt.found': 'Encontrados {count} {requestName}s fusionados',
+        'prompt.added.one': 'Añadido {count} ejemplo a {path}',
+        'prompt.added.other': 'Añadidos {count} ejemplos a {path}',
+        'prompt.noNew': 'No hay ejemplos nuevos (ya importados o sin descripción).',
+        'prompt.title': 'Archivos de prompt:',
+        'prompt.global': 'Global:',
+        'prompt.repo': 'Repositorio:',
+        'prompt.notFound': '(no existe)',
+        'prompt.instructions': 'Instrucciones:',
+        'prompt.conventions': 'Convenciones:',
+        'prompt.examples': 'Ejemplos:',
+        'prompt.pastPrs': 'PRs anteriores:',
+        'prompt.customInstructions': 'personalizadas',
+        'prompt.builtInInstructions': 'integradas',
+        'prompt.builtInExamples': 'integrados',
+        'prompt.yes': 'sí',
+        'prompt.none': 'ninguna',
+        'prompt.showHint': 'mkpr --show-prompt imprime el prompt completo para los cambios actuales.',
+
+        'history.refined': '(refinada {count} veces)',
+        'history.cleared': 'Historial de {branch} borrado.',
+        'history.noHistory': 'No hay historial para {branch}.',
+        'history.empty': 'No hay generaciones registradas para {branch}.',
+        'history.noEntry': 'No existe la generación #{number} (el historial tiene 1-{count}).',
+        'history.restored': 'Restaurada la generación del {date}: {path}',
+        'history.title': 'Generaciones de {branch} ({count}):',
+        'history.select': 'Selecciona una generación:',
+        'history.exit': 'Salir',
+        'history.view': 'Ver',
+        'history.restore': 'Restaurar (guardar como archivo de descripción)',
+        'history.compare': 'Comparar con otra generación',
+        'history.compareWith': 'Comparar con:',
+        'history.compareCount': '--compare necesita uno o dos números de generación.',
+
+        'stack.notStacked': '{branch} no forma parte de una pila: no hay ramas sin fusionar debajo ni encima.',
+        'stack.title': 'Pila sobre {base}:',
+        'stack.on': '(sobre {parent})',
+        'stack.missing.one': 'No hay PR abierto para {branches}; se omite.',
+        'stack.missing.other': 'No hay PR abierto para {branches}; se omiten.',
+        'stack.confirmUpdate': '¿Regenerar y actualizar los PRs de {count} ramas?',
+        'stack.confirm': '¿Regenerar las descripciones de {count} ramas?',
+        'stack.done': 'Regeneradas {count} descripciones.',
+        'stack.failed.one': 'Falló {count} de {total} ramas: {branches}',
+        'stack.failed.other': 'Fallaron {count} de {total} ramas: {branches}'
+    }
+};
 
-            case 'copy':
-                try {
-                    // Try to copy to clipboard using available system commands
-                    const copyCommands = [
-                        { cmd: 'pbcopy', platform: 'darwin' },
-                        { cmd: 'xclip -selection clipboard', platform: 'linux' },
-                        { cmd: 'xsel --clipboard --input', platform: 'linux' },
-                        { cmd: 'clip', platform: 'win32' }
-                    ];
+// Variables checked for the interface locale, in POSIX precedence order
+const LOCALE_ENV_VARS = ['LC_ALL', 'LC_MESSAGES', 'LANG'];
 
-                    const platform = process.platform;
-                    let copied = false;
+let activeLocale = null;
 
-                    for (const { cmd, platform: p } of copyCommands) {
-                        if (p === platform || (p === 'linux' && platform === 'linux')) {
-                            try {
-                                execSync(cmd, {
-                                    input: prDescription,
-                                    stdio: ['pipe', 'pipe', 'pipe']
-                                });
-                                copied = true;
-                                console.log(chalk.green('\n✅ Copied to clipboard!\n'));
-                                break;
-                            } catch {
-                                continue;
-                            }
-                        }
-                    }
+/**
+ * Interface locale: the `locale` setting, or with `auto` the first locale
+ * variable that is set (es_ES.UTF-8 → es). Unknown locales, C and POSIX use English.
+ */
+function detectLocale() {
+    const setting = config.get('locale');
+    if (setting !== 'auto') {
+        return MESSAGES[setting] ? setting : 'en';
+    }
 
-                    if (!copied) {
-                        console.log(chalk.yellow('\n⚠️  Could not copy to clipboard. Save the file instead.\n'));
-                    }
-                } catch {
-                    console.log(chalk.yellow('\n⚠️  Clipboard not available on this system.\n'));
-                }
-                break;
+    const value = LOCALE_ENV_VARS.map(name => process.env[name]).find(Boolean);
+    const code = value ? value.split(/[._@-]/)[0].toLowerCase() : 'en';
+    return MESSAGES[code] ? code : 'en';
+}
 
-            case 'change-model':
-                await changeModelInteractive();
-                console.log(chalk.cyan('\n🔄 Regenerating description with new model...\n'));
-                break;
+/**
+ * Translated interface message for `key`, with {name} placeholders filled
+ * from `params`
+ */
+function t(key, params = {}) {
+    activeLocale = activeLocale || detectLocale();
 
-            case 'cancel':
-                console.log(chalk.yellow('\n👋 Operation cancelled.\n'));
-                continueLoop = false;
-                break;
+    const lookup = (catalog) => {
+        if (params.count !== undefined && catalog[`${key}.one`] !== undefined) {
+            return catalog[`${key}.${params.count === 1 ? 'one' : 'other'}`];
         }
-    }
+        return catalog[key];
+    };
+    const message = lookup(MESSAGES[activeLocale]) ?? lookup(MESSAGES.en) ?? key;
+
+    return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
 }
 
 // ============================================
@@ -1334,30 +6467,74 @@ const program = new Command();
 
 program
     .name('mkpr')
-    .description(chalk.cyan('🚀 CLI to generate PR descriptions using Ollama AI'))
-    .version('1.1.0');
+    .description(chalk.cyan(t('cli.description')))
+    .version('1.1.0', '-V, --version', t('cli.version'))
+    // Inherited by the subcommands defined below
+    .helpOption('-h, --help', t('cli.help'))
+    .addHelpCommand('help [command]', t('cli.help'))
+    .enablePositionalOptions();
 
 program
-    .option('--set-model [model]', 'Set the Ollama model to use (interactive if omitted)')
-    .option('--set-port <port>', 'Set the Ollama port')
-    .option('--set-base <branch>', 'Set the base branch for comparison (default: main)')
-    .option('--set-output <dir>', 'Set output directory for PR files')
-    .option('--show-config', 'Show current configuration')
-    .option('--list-models', 'List available models in Ollama')
-    .option('--add-exclude <file>', 'Add file to exclusion list')
-    .option('--remove-exclude <file>', 'Remove file from exclusion list')
-    .option('--list-excludes', 'List excluded files')
-    .option('--reset-excludes', 'Reset exclusion list to defaults')
-    .option('-b, --base <branch>', 'Base branch for this run (not saved)')
-    .option('-o, --output <dir>', 'Output directory for this run (not saved)')
-    .option('--dry-run', 'Only show description without saving file')
-    .option('--debug', 'Enable debug mode')
+    .option('--set-provider <provider>', t('cli.setProvider', { providers: Object.keys(PROVIDERS).join(', ') }))
+    .option('--set-model [model]', t('cli.setModel'))
+    .option('--set-port <port>', t('cli.setPort'))
+    .option('--set-host <url>', t('cli.setHost'))
+    .option('--set-auth-header <header>', t('cli.setAuthHeader'))
+    .option('--set-api-url <url>', t('cli.setApiUrl'))
+    .option('--set-base <branch>', t('cli.setBase'))
+    .option('--set-output <dir>', t('cli.setOutput'))
+    .option('--set-template <template>', t('cli.setTemplate'))
+    .option('--set-language <code>', t('cli.setLanguage'))
+    .option('--set-locale <locale>', t('cli.setLocale', { locales: Object.keys(MESSAGES).join(', ') }))
+    .option('--set-stream <on|off>', t('cli.setStream'))
+    .option('--set-summarize <on|off>', t('cli.setSummarize'))
+    .option('--set-context-budget <chars>', t('cli.setContextBudget'))
+    .option('--show-config', t('cli.showConfig'))
+    .option('--list-models', t('cli.listModels'))
+    .option('--add-exclude <file>', t('cli.addExclude'))
+    .option('--remove-exclude <file>', t('cli.removeExclude'))
+    .option('--list-excludes', t('cli.listExcludes'))
+    .option('--reset-excludes', t('cli.resetExcludes'))
+    .option('--explain-exclude <path>', t('cli.explainExclude'))
+    .option('-b, --base <branch>', t('cli.base'))
+    .option('-o, --output <dir>', t('cli.output'))
+    .option('--dry-run', t('cli.dryRun'))
+    .option('-y, --yes', t('cli.yes'))
+    .option('--non-interactive', t('cli.nonInteractive'))
+    .option('--stdout', t('cli.stdout'))
+    .option('--format <format>', t('cli.format'))
+    .option('--template <template>', t('cli.template'))
+    .option('--language <code>', t('cli.language'))
+    .option('--create', t('cli.create'))
+    .option('--update', t('cli.update'))
+    .option('--staged', t('cli.staged'))
+    .option('--working-tree', t('cli.workingTree'))
+    .option('--range <range>', t('cli.range'))
+    .option('--timings', t('cli.timings'))
+    .option('--no-stack', t('cli.noStack'))
+    .option('--no-cache', t('cli.noCache'))
+    .option('--show-prompt', t('cli.showPrompt'))
+    .option('--stream', t('cli.stream'))
+    .option('--no-stream', t('cli.noStream'))
+    .option('--summarize', t('cli.summarize'))
+    .option('--no-summarize', t('cli.noSummarize'))
+    .option('--debug', t('cli.debug'))
     .action(async (options) => {
         try {
+            // Per-run flags take precedence over repository and global config
+            config.setOverrides({
+                baseBranch: options.base,
+                outputDir: options.output,
+                stream: options.stream,
+                summarize: options.summarize,
+                template: options.template,
+                language: options.language && normalizeLanguage(options.language)
+            });
+
             // Handle debug flag
             if (options.debug) {
                 config.set('debug', true);
-                console.log(chalk.gray('[DEBUG] Debug mode enabled'));
+                console.error(chalk.gray('[DEBUG] Debug mode enabled'));
             }
 
             if (options.showConfig) {
@@ -1375,6 +6552,11 @@ program
                 return;
             }
 
+            if (options.explainExclude) {
+                explainExcludeCommand(options.explainExclude);
+                return;
+            }
+
             if (options.addExclude) {
                 addExclude(options.addExclude);
                 return;
@@ -1393,11 +6575,62 @@ program
             if (options.setPort) {
                 const port = parseInt(options.setPort);
                 if (isNaN(port) || port < 1 || port > 65535) {
-                    console.log(chalk.red('❌ Invalid port. Must be a number between 1 and 65535.'));
+                    console.log(chalk.red(`❌ ${t('set.invalidPort')}`));
                     process.exit(1);
                 }
                 config.set('ollamaPort', port);
-                console.log(chalk.green(`✅ Port set to: ${port}`));
+
+                // Keep an explicit Ollama URL in sync with the new port
+                const ollamaUrl = globalConfig.get('ollamaUrl');
+                if (ollamaUrl) {
+                    const url = new URL(ollamaUrl);
+                    url.port = String(port);
+                    config.set('ollamaUrl', `${url.protocol}//${url.host}${url.pathname.replace(/\/+$/, '')}`);
+                }
+                console.log(chalk.green(`✅ ${t('set.port', { port })}`));
+            }
+
+            if (options.setHost) {
+                let ollamaUrl;
+                try {
+                    ollamaUrl = normalizeOllamaUrl(options.setHost);
+                } catch (error) {
+                    console.log(chalk.red(`❌ ${error.message}`));
+                    process.exit(1);
+                }
+                config.set('ollamaUrl', ollamaUrl);
+                console.log(chalk.green(`✅ ${t('set.ollamaUrl', { url: ollamaUrl })}`));
+            }
+
+            if (options.setAuthHeader !== undefined) {
+                if (options.setAuthHeader === '') {
+                    config.set('ollamaAuthHeader', '');
+                    console.log(chalk.green(`✅ ${t('set.authCleared')}`));
+                } else if (!/^[\w-]+\s*:\s*\S/.test(options.setAuthHeader)) {
+                    console.log(chalk.red(`❌ ${t('set.invalidHeader')}`));
+                    process.exit(1);
+                } else {
+                    config.set('ollamaAuthHeader', options.setAuthHeader);
+                    console.log(chalk.green(`✅ ${t('set.authSet')}`));
+                }
+            }
+
+            if (options.setProvider) {
+                if (!PROVIDERS[options.setProvider]) {
+                    console.log(chalk.red(`❌ ${t('set.invalidProvider', { providers: Object.keys(PROVIDERS).join(', ') })}`));
+                    process.exit(1);
+                }
+                config.set('provider', options.setProvider);
+                console.log(chalk.green(`✅ ${t('set.provider', { provider: options.setProvider })}`));
+            }
+
+            if (options.setApiUrl) {
+                if (!/^https?:\/\/.+/.test(options.setApiUrl)) {
+                    console.log(chalk.red(`❌ ${t('set.invalidUrl')}`));
+                    process.exit(1);
+                }
+                config.set('openaiUrl', options.setApiUrl);
+                console.log(chalk.green(`✅ ${t('set.apiUrl', { url: options.setApiUrl })}`));
             }
 
             if (options.setModel !== undefined) {
@@ -1410,40 +6643,368 @@ program
 
             if (options.setBase) {
                 if (!isValidBranchName(options.setBase)) {
-                    console.log(chalk.red(`❌ Invalid branch name: "${options.setBase}"`));
+                    console.log(chalk.red(`❌ ${t('set.invalidBranch', { branch: options.setBase })}`));
                     process.exit(1);
                 }
                 config.set('baseBranch', options.setBase);
-                console.log(chalk.green(`✅ Base branch set to: ${options.setBase}`));
+                console.log(chalk.green(`✅ ${t('set.base', { branch: options.setBase })}`));
             }
 
             if (options.setOutput) {
                 config.set('outputDir', options.setOutput);
-                console.log(chalk.green(`✅ Output directory set to: ${options.setOutput}`));
+                console.log(chalk.green(`✅ ${t('set.output', { dir: options.setOutput })}`));
+            }
+
+            if (options.setTemplate) {
+                config.set('template', options.setTemplate);
+                console.log(chalk.green(`✅ ${t('set.template', { template: options.setTemplate })}`));
+            }
+
+            if (options.setLanguage) {
+                let language;
+                try {
+                    language = normalizeLanguage(options.setLanguage);
+                } catch (error) {
+                    console.log(chalk.red(`❌ ${error.message}`));
+                    process.exit(1);
+                }
+                config.set('language', language);
+                console.log(chalk.green(`✅ ${t('set.language', { language, name: getLanguageName(language) })}`));
+                if (getOutputCatalog(language) === OUTPUT_LANGUAGES.en && language.split('-')[0] !== 'en') {
+                    console.log(chalk.yellow(`⚠️  ${t('set.noCatalog', { language, name: getLanguageName(language) })}`));
+                }
+            }
+
+            if (options.setLocale) {
+                const locales = ['auto', ...Object.keys(MESSAGES)];
+                if (!locales.includes(options.setLocale)) {
+                    console.log(chalk.red(`❌ ${t('locale.invalid', { locales: locales.join(', ') })}`));
+                    process.exit(1);
+                }
+                config.set('locale', options.setLocale);
+                activeLocale = detectLocale();
+                console.log(chalk.green(`✅ ${t('locale.set', { locale: options.setLocale === 'auto' ? t('config.localeAuto', { locale: activeLocale }) : activeLocale })}`));
+            }
+
+            if (options.setStream) {
+                if (!['on', 'off'].includes(options.setStream)) {
+                    console.log(chalk.red(`❌ ${t('set.invalidOnOff')}`));
+                    process.exit(1);
+                }
+                config.set('stream', options.setStream === 'on');
+                console.log(chalk.green(`✅ ${t('set.stream', { state: t(options.setStream === 'on' ? 'common.enabled' : 'common.disabled') })}`));
+            }
+
+            if (options.setSummarize) {
+                if (!['on', 'off'].includes(options.setSummarize)) {
+                    console.log(chalk.red(`❌ ${t('set.invalidOnOff')}`));
+                    process.exit(1);
+                }
+                config.set('summarize', options.setSummarize === 'on');
+                console.log(chalk.green(`✅ ${t('set.summarize', { state: t(options.setSummarize === 'on' ? 'common.enabled' : 'common.disabled') })}`));
+            }
+
+            if (options.setContextBudget) {
+                const budget = parseInt(options.setContextBudget);
+                if (isNaN(budget) || budget < 1000) {
+                    console.log(chalk.red(`❌ ${t('set.invalidBudget')}`));
+                    process.exit(1);
+                }
+                const model = config.get('ollamaModel');
+                config.set('contextBudgets', { ...globalConfig.get('contextBudgets'), [model]: budget });
+                console.log(chalk.green(`✅ ${t('set.budget', { model: chalk.yellow(model), budget })}`));
             }
 
-            if (options.setPort || options.setModel !== undefined || options.setBase || options.setOutput) {
+            if (options.setPort || options.setHost || options.setAuthHeader !== undefined || options.setProvider || options.setApiUrl || options.setModel !== undefined ||
+                options.setBase || options.setOutput || options.setTemplate || options.setLanguage || options.setLocale || options.setStream || options.setSummarize ||
+                options.setContextBudget) {
                 return;
             }
 
             // Validate base branch from options
-            const baseBranch = options.base || config.get('baseBranch');
+            const baseBranch = config.get('baseBranch');
             if (!isValidBranchName(baseBranch)) {
-                console.log(chalk.red(`❌ Invalid base branch name: "${baseBranch}"`));
+                console.log(chalk.red(`❌ ${t('run.invalidBase', { branch: baseBranch })}`));
                 process.exit(1);
             }
 
-            const outputDir = options.output || config.get('outputDir');
+            const outputDir = config.get('outputDir');
             const dryRun = options.dryRun || false;
+            const stream = config.get('stream');
+            const summarize = config.get('summarize');
+            // Printing to stdout leaves no room for the menu, so it implies --yes
+            const toStdout = options.stdout || false;
+            const nonInteractive = options.yes || options.nonInteractive || toStdout;
+            const format = options.format || 'markdown';
+            if (!OUTPUT_FORMATS[format]) {
+                console.log(chalk.red(`❌ ${t('common.invalidFormat', { format, formats: Object.keys(OUTPUT_FORMATS).join(', ') })}`));
+                process.exit(EXIT_CODES.ERROR);
+            }
+
+            const template = config.get('template');
+
+            const create = options.create || false;
+            const update = options.update || false;
+            if (create && update) {
+                console.log(chalk.red(`❌ ${t('run.createAndUpdate')}`));
+                process.exit(EXIT_CODES.ERROR);
+            }
+
+            const staged = options.staged || false;
+            const workingTree = options.workingTree || false;
+            const range = options.range;
+            if ((create || update) && (staged || workingTree || range)) {
+                console.log(chalk.red(`❌ ${t('run.branchOnly')}`));
+                process.exit(EXIT_CODES.ERROR);
+            }
 
-            await generatePRDescription(baseBranch, outputDir, dryRun);
+            // --show-prompt never prompts: the prompt goes to stdout, status lines to stderr
+            const showPrompt = options.showPrompt || false;
+
+            await generatePRDescription({ baseBranch, outputDir, dryRun, stream, summarize, nonInteractive: nonInteractive || showPrompt, toStdout, format, template, create, update, staged, workingTree, range, stack: options.stack, timings: options.timings || false, cache: options.cache, showPrompt });
+
+        } catch (error) {
+            if (!error.reported) {
+                console.error(chalk.red(`❌ Error: ${error.message}`));
+                if (config.get('debug')) {
+                    console.error(error.stack);
+                }
+            }
+            process.exit(error.exitCode || EXIT_CODES.ERROR);
+        }
+    });
+
+program
+    .command('commit')
+    .description(t('cli.commit.description'))
+    .option('-y, --yes', t('cli.commit.yes'))
+    .option('--stdout', t('cli.commit.stdout'))
+    .option('--dry-run', t('cli.commit.dryRun'))
+    .option('--message-file <file>', t('cli.commit.messageFile'))
+    .option('--install-hook', t('cli.commit.installHook'))
+    .option('--uninstall-hook', t('cli.commit.uninstallHook'))
+    .option('--debug', t('cli.debug'))
+    .action(async (options) => {
+        try {
+            if (options.debug) {
+                config.setOverrides({ debug: true });
+            }
+
+            if (!isGitRepository()) {
+                console.log(chalk.red(`❌ ${t('common.notGitRepo')}`));
+                process.exit(EXIT_CODES.ERROR);
+            }
+
+            if (options.installHook) {
+                const hookPath = installCommitHook();
+                console.log(chalk.green(`✅ ${t('commit.hookInstalled', { path: hookPath })}`));
+                console.log(chalk.white(`   ${t('commit.hookHint')}`));
+                return;
+            }
+
+            if (options.uninstallHook) {
+                const hookPath = uninstallCommitHook();
+                console.log(hookPath
+                    ? chalk.green(`✅ ${t('commit.hookRemoved', { path: hookPath })}`)
+                    : chalk.yellow(`⚠️  ${t('commit.noHook')}`));
+                return;
+            }
+
+            await generateCommitMessage({
+                nonInteractive: options.yes || options.stdout || false,
+                dryRun: options.dryRun || false,
+                toStdout: options.stdout || false,
+                messageFile: options.messageFile
+            });
 
         } catch (error) {
             console.error(chalk.red(`❌ Error: ${error.message}`));
             if (config.get('debug')) {
                 console.error(error.stack);
             }
-            process.exit(1);
+            // The hook must never block a commit
+            process.exit(options.messageFile ? EXIT_CODES.SUCCESS : EXIT_CODES.ERROR);
+        }
+    });
+
+program
+    .command('stack')
+    .description(t('cli.stack.description'))
+    .option('-b, --base <branch>', t('cli.stack.base'))
+    .option('-o, --output <dir>', t('cli.stack.output'))
+    .option('--format <format>', t('cli.format'))
+    .option('--template <template>', t('cli.stack.template'))
+    .option('--update', t('cli.stack.update'))
+    .option('--dry-run', t('cli.stack.dryRun'))
+    .option('-y, --yes', t('cli.stack.yes'))
+    .option('--debug', t('cli.debug'))
+    .action(async (options) => {
+        try {
+            config.setOverrides({
+                baseBranch: options.base,
+                outputDir: options.output,
+                template: options.template,
+                debug: options.debug
+            });
+
+            if (!isGitRepository()) {
+                console.log(chalk.red(`❌ ${t('common.notGitRepo')}`));
+                process.exit(EXIT_CODES.ERROR);
+            }
+
+            const format = options.format || 'markdown';
+            if (!OUTPUT_FORMATS[format]) {
+                console.log(chalk.red(`❌ ${t('common.invalidFormat', { format, formats: Object.keys(OUTPUT_FORMATS).join(', ') })}`));
+                process.exit(EXIT_CODES.ERROR);
+            }
+
+            await regenerateStack({
+                baseBranch: config.get('baseBranch'),
+                outputDir: config.get('outputDir'),
+                dryRun: options.dryRun || false,
+                format,
+                template: config.get('template'),
+                update: options.update || false,
+                nonInteractive: options.yes || false
+            });
+
+        } catch (error) {
+            if (!error.reported) {
+                console.error(chalk.red(`❌ Error: ${error.message}`));
+                if (config.get('debug')) {
+                    console.error(error.stack);
+                }
+            }
+            process.exit(error.exitCode || EXIT_CODES.ERROR);
+        }
+    });
+
+program
+    .command('prompt')
+    .description(t('cli.prompt.description'))
+    .option('--init', t('cli.prompt.init'))
+    .option('--import-examples [n]', t('cli.prompt.importExamples'))
+    .option('--global', t('cli.prompt.global'))
+    .option('--debug', t('cli.debug'))
+    .action(async (options) => {
+        try {
+            if (options.debug) {
+                config.setOverrides({ debug: true });
+            }
+
+            if (!options.global && !isGitRepository()) {
+                console.log(chalk.red(`❌ ${t('prompt.needsRepo')}`));
+                process.exit(EXIT_CODES.ERROR);
+            }
+
+            await managePromptFiles({
+                init: options.init || false,
+                global: options.global || false,
+                importExamples: options.importExamples
+            });
+
+        } catch (error) {
+            console.error(chalk.red(`❌ Error: ${error.message}`));
+            if (config.get('debug')) {
+                console.error(error.stack);
+            }
+            process.exit(EXIT_CODES.ERROR);
+        }
+    });
+
+program
+    .command('history [branch]')
+    .description(t('cli.history.description'))
+    .option('--list', t('cli.history.list'))
+    .option('--show <n>', t('cli.history.show'))
+    .option('--restore <n>', t('cli.history.restore'))
+    .option('--compare <n...>', t('cli.history.compare'))
+    .option('--clear', t('cli.history.clear'))
+    .option('-o, --output <dir>', t('cli.history.output'))
+    .option('--format <format>', t('cli.format'))
+    .option('--stdout', t('cli.history.stdout'))
+    .option('--debug', t('cli.debug'))
+    .action(async (branch, options) => {
+        try {
+            config.setOverrides({
+                outputDir: options.output,
+                debug: options.debug
+            });
+
+            if (!isGitRepository()) {
+                console.log(chalk.red(`❌ ${t('common.notGitRepo')}`));
+                process.exit(EXIT_CODES.ERROR);
+            }
+
+            const format = options.format || 'markdown';
+            if (!OUTPUT_FORMATS[format]) {
+                console.log(chalk.red(`❌ ${t('common.invalidFormat', { format, formats: Object.keys(OUTPUT_FORMATS).join(', ') })}`));
+                process.exit(EXIT_CODES.ERROR);
+            }
+            if (options.compare && options.compare.length > 2) {
+                console.log(chalk.red(`❌ ${t('history.compareCount')}`));
+                process.exit(EXIT_CODES.ERROR);
+            }
+
+            await browseHistory({
+                branch,
+                list: options.list || false,
+                show: options.show,
+                restore: options.restore,
+                compare: options.compare,
+                clear: options.clear || false,
+                format,
+                outputDir: config.get('outputDir'),
+                toStdout: options.stdout || false
+            });
+
+        } catch (error) {
+            console.error(chalk.red(`❌ Error: ${error.message}`));
+            if (config.get('debug')) {
+                console.error(error.stack);
+            }
+            process.exit(EXIT_CODES.ERROR);
+        }
+    });
+
+program
+    .command('changelog')
+    .description(t('cli.changelog.description'))
+    .option('--from <ref>', t('cli.changelog.from'))
+    .option('--to <ref>', t('cli.changelog.to'), 'HEAD')
+    .option('--release <name>', t('cli.changelog.release'))
+    .option('-o, --output <file>', t('cli.changelog.output'))
+    .option('-y, --yes', t('cli.changelog.yes'))
+    .option('--stdout', t('cli.changelog.stdout'))
+    .option('--dry-run', t('cli.changelog.dryRun'))
+    .option('--debug', t('cli.debug'))
+    .action(async (options) => {
+        try {
+            if (options.debug) {
+                config.setOverrides({ debug: true });
+            }
+
+            if (!isGitRepository()) {
+                console.log(chalk.red(`❌ ${t('common.notGitRepo')}`));
+                process.exit(EXIT_CODES.ERROR);
+            }
+
+            await generateChangelog({
+                from: options.from,
+                to: options.to,
+                release: options.release,
+                outputFile: options.output,
+                nonInteractive: options.yes || options.stdout || false,
+                dryRun: options.dryRun || false,
+                toStdout: options.stdout || false
+            });
+
+        } catch (error) {
+            console.error(chalk.red(`❌ Error: ${error.message}`));
+            if (config.get('debug')) {
+                console.error(error.stack);
+            }
+            process.exit(EXIT_CODES.ERROR);
         }
     });
 